@@ -0,0 +1,394 @@
+// === AZURE DEVOPS ===
+// Shared Azure DevOps REST client used by every command
+
+import { httpFetch, retryDelay, waitBeforeRetry } from './http.js';
+
+const API_VERSION = '7.0';
+// Work item comments only exist as a preview API; 7.1-preview.4 accepts markdown
+const COMMENTS_API_VERSION = '7.1-preview.4';
+// connectionData (who the PAT belongs to) rejects non-preview versions with a 400
+const CONNECTION_DATA_API_VERSION = '7.1-preview.1';
+// Most work items the batch endpoint returns per call
+const WORK_ITEMS_PER_CALL = 200;
+// Changed files per page of PR iteration changes (the endpoint returns 100 by default, 2000 at most)
+const CHANGES_PER_CALL = 2000;
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Retries for throttled (429) and server (5xx) responses
+const MAX_RETRIES = 3;
+// Longest Retry-After we are willing to wait, in seconds
+const MAX_RETRY_WAIT = 60;
+
+// === ERRORS ===
+export class AzDoError extends Error {
+  constructor(message, { status = null, url = null } = {}) {
+    super(message);
+    this.name = 'AzDoError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/** 401 - PAT missing, invalid or expired */
+export class AzDoAuthError extends AzDoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AzDoAuthError';
+  }
+}
+
+/** 403 - PAT is valid but lacks a scope */
+export class AzDoPermissionError extends AzDoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AzDoPermissionError';
+  }
+}
+
+/** 404 - Work item, repository, PR or file does not exist */
+export class AzDoNotFoundError extends AzDoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AzDoNotFoundError';
+  }
+}
+
+/** 409 / 412 - The work item changed since it was read (failed "test /rev" operation) */
+export class AzDoConflictError extends AzDoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AzDoConflictError';
+  }
+}
+
+/** 429 - Still throttled after all retries */
+export class AzDoThrottledError extends AzDoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AzDoThrottledError';
+  }
+}
+
+// Azure DevOps errors are JSON with a "message" field
+function readErrorMessage(text) {
+  try {
+    return JSON.parse(text).message || text;
+  } catch {
+    return text;
+  }
+}
+
+function toError(status, method, url, what, text) {
+  const details = { status, url };
+  const reason = readErrorMessage(text).slice(0, 300);
+  switch (status) {
+    case 401:
+      return new AzDoAuthError('Azure DevOps authentication failed (401) - check AZURE_PAT is valid and not expired', details);
+    case 403:
+      return new AzDoPermissionError(`Azure DevOps denied access to ${what} (403) - the PAT is missing a scope`, details);
+    case 404:
+      return new AzDoNotFoundError(`${what} not found (404)`, details);
+    case 409:
+    case 412:
+      return new AzDoConflictError(`${what} was changed by someone else since it was read (${status})`, details);
+    case 429:
+      return new AzDoThrottledError(`Azure DevOps is throttling requests (429), retried ${MAX_RETRIES} times`, details);
+    default:
+      return new AzDoError(`Azure DevOps ${method} ${status}: ${reason}`, details);
+  }
+}
+
+// === CLIENT ===
+/**
+ * Create an Azure DevOps client
+ * @param {{org: string, project: string, pat: string}} options
+ */
+export function createAzDoClient({ org, project, pat }) {
+  const orgUrl = `https://dev.azure.com/${org}`;
+  const baseUrl = `${orgUrl}/${encodeURIComponent(project)}/_apis`;
+  const authHeader = { 'Authorization': `Basic ${Buffer.from(':' + pat).toString('base64')}` };
+
+  const withVersion = (url, version) => `${url}${url.includes('?') ? '&' : '?'}api-version=${version}`;
+
+  /**
+   * Send a request, retrying 429 responses, and 5xx ones when sending it twice is harmless
+   * @param {string} method - HTTP method
+   * @param {string} url - URL relative to the project API (or absolute)
+   * @param {{body?: any, contentType?: string, what?: string, text?: boolean, apiVersion?: string, idempotent?: boolean}} [options]
+   *   idempotent: defaults to false for POST, a 5xx may come after the server already created the resource
+   */
+  async function request(method, url, { body, contentType = 'application/json', what = 'resource', text = false, apiVersion = API_VERSION, idempotent = method !== 'POST' } = {}) {
+    const fullUrl = withVersion(url.startsWith('http') ? url : `${baseUrl}${url}`, apiVersion);
+    const headers = { ...authHeader };
+    if (body !== undefined) headers['Content-Type'] = contentType;
+
+    for (let attempt = 0; ; attempt++) {
+      const res = await httpFetch(fullUrl, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      if (res.ok) {
+        const content = await res.text();
+        if (text) return content;
+        return content ? JSON.parse(content) : null;
+      }
+
+      const retryable = res.status === 429 || (res.status >= 500 && idempotent);
+      if (retryable && attempt < MAX_RETRIES) {
+        await waitBeforeRetry(retryDelay(res, attempt, MAX_RETRY_WAIT));
+        continue;
+      }
+
+      throw toError(res.status, method, fullUrl, what, await res.text());
+    }
+  }
+
+  const prUrl = (repoId, prId) => `/git/repositories/${repoId}/pullrequests/${prId}`;
+
+  // === WORK ITEMS ===
+  /**
+   * @param {number|string} id - Work item id
+   * @param {{relations?: boolean}} [options] - Include relations (parent, children, links)
+   */
+  function getWorkItem(id, { relations = false } = {}) {
+    const expand = relations ? '?$expand=relations' : '';
+    return request('GET', `/wit/workitems/${id}${expand}`, { what: `Work item #${id}` });
+  }
+
+  /**
+   * Create a work item from JSON patch operations
+   * @param {string} type - Work item type, e.g. "Task"
+   * @param {Array<{op: string, path: string, value: any}>} operations
+   */
+  function createWorkItem(type, operations) {
+    return request('POST', `/wit/workitems/$${encodeURIComponent(type)}`, {
+      body: operations,
+      contentType: 'application/json-patch+json',
+      what: `Work item type "${type}"`
+    });
+  }
+
+  /**
+   * Update a work item with JSON patch operations (add a {op: 'test', path: '/rev'} to fail on concurrent edits)
+   * @param {number|string} id - Work item id
+   * @param {Array<{op: string, path: string, value: any}>} operations
+   */
+  function updateWorkItem(id, operations) {
+    return request('PATCH', `/wit/workitems/${id}`, {
+      body: operations,
+      contentType: 'application/json-patch+json',
+      what: `Work item #${id}`
+    });
+  }
+
+  /**
+   * Add a discussion comment to a work item
+   * @param {number|string} id - Work item id
+   * @param {string} text - Markdown
+   */
+  function addWorkItemComment(id, text) {
+    return request('POST', `/wit/workItems/${id}/comments?format=markdown`, {
+      body: { text },
+      what: `Comments of work item #${id}`,
+      apiVersion: COMMENTS_API_VERSION
+    });
+  }
+
+  /**
+   * Work items by id, fetched in batches (missing ids are skipped)
+   * @param {number[]} ids - Work item ids
+   * @param {{relations?: boolean, fields?: string[]}} [options] - Include relations, or only return some fields
+   *   (Azure DevOps does not accept both)
+   */
+  async function getWorkItems(ids, { relations = false, fields = null } = {}) {
+    const items = [];
+    for (let i = 0; i < ids.length; i += WORK_ITEMS_PER_CALL) {
+      const batch = ids.slice(i, i + WORK_ITEMS_PER_CALL);
+      const expand = relations ? '&$expand=relations' : fields ? `&fields=${fields.map(encodeURIComponent).join(',')}` : '';
+      const result = await request('GET', `/wit/workitems?ids=${batch.join(',')}${expand}&errorPolicy=omit`, { what: 'Work items' });
+      items.push(...(result?.value || []).filter(Boolean));
+    }
+    return items;
+  }
+
+  /** API URL of a work item, used when linking work items together */
+  function workItemUrl(id) {
+    return `${baseUrl}/wit/workitems/${id}`;
+  }
+
+  /**
+   * Work item ids linked with a relation type
+   * @param {object} workItem - Work item fetched with relations
+   * @param {string} rel - e.g. "System.LinkTypes.Hierarchy-Reverse" (parent)
+   */
+  function relatedIds(workItem, rel) {
+    return (workItem.relations || [])
+      .filter(r => r.rel === rel)
+      .map(r => parseInt(r.url?.split('/').pop(), 10))
+      .filter(Number.isInteger);
+  }
+
+  /** Parent work item (with relations), or null */
+  async function getParentWorkItem(workItem) {
+    const [parentId] = relatedIds(workItem, 'System.LinkTypes.Hierarchy-Reverse');
+    return parentId ? getWorkItem(parentId, { relations: true }) : null;
+  }
+
+  // === QUERIES ===
+  // Flat queries list workItems, link queries workItemRelations
+  const queryIds = result => [...new Set([
+    ...(result?.workItems || []),
+    ...(result?.workItemRelations || []).map(r => r.target).filter(Boolean)
+  ].map(w => w.id))];
+
+  /**
+   * Ids of the work items a WIQL query returns
+   * @param {string} wiql - e.g. "SELECT [System.Id] FROM WorkItems WHERE ..."
+   */
+  async function queryWorkItemIds(wiql) {
+    return queryIds(await request('POST', '/wit/wiql', { body: { query: wiql }, what: 'WIQL query', idempotent: true }));
+  }
+
+  /**
+   * Ids of the work items a saved query returns
+   * @param {string} idOrPath - Query id (GUID) or path, e.g. "Shared Queries/Sprint backlog"
+   */
+  async function runSavedQuery(idOrPath) {
+    let id = idOrPath;
+    if (!GUID.test(idOrPath)) {
+      const path = idOrPath.split('/').map(encodeURIComponent).join('/');
+      id = (await request('GET', `/wit/queries/${path}`, { what: `Query "${idOrPath}"` })).id;
+    }
+    return queryIds(await request('GET', `/wit/wiql/${id}`, { what: `Query "${idOrPath}"` }));
+  }
+
+  // === REPOSITORIES ===
+  async function getRepositories() {
+    return (await request('GET', '/git/repositories', { what: 'Repositories' })).value;
+  }
+
+  /**
+   * Find a repository by name (case-insensitive), or the first one when no name is given
+   * @throws {AzDoNotFoundError} Listing the available repositories
+   */
+  async function findRepository(name) {
+    const repos = await getRepositories();
+    if (!name) return repos[0];
+
+    const repo = repos.find(r => r.name.toLowerCase() === name.toLowerCase());
+    if (!repo) {
+      throw new AzDoNotFoundError(`Repository "${name}" not found. Available: ${repos.map(r => r.name).join(', ')}`);
+    }
+    return repo;
+  }
+
+  /**
+   * File content at a commit, or null when the file does not exist there
+   */
+  async function getItemContent(repoId, path, commitId) {
+    try {
+      return await request('GET', `/git/repositories/${repoId}/items?path=${encodeURIComponent(path)}&versionType=Commit&version=${commitId}`, {
+        what: path,
+        text: true
+      });
+    } catch (err) {
+      if (err instanceof AzDoNotFoundError) return null;
+      throw err;
+    }
+  }
+
+  // === PULL REQUESTS ===
+  function getPullRequest(repoId, prId) {
+    return request('GET', prUrl(repoId, prId), { what: `PR #${prId}` });
+  }
+
+  async function getPullRequestWorkItems(repoId, prId) {
+    return (await request('GET', `${prUrl(repoId, prId)}/workitems`, { what: `Work items of PR #${prId}` })).value || [];
+  }
+
+  async function getIterations(repoId, prId) {
+    return (await request('GET', `${prUrl(repoId, prId)}/iterations`, { what: `Iterations of PR #${prId}` })).value;
+  }
+
+  /**
+   * Changed files in an iteration, optionally relative to an earlier iteration (every page)
+   */
+  async function getIterationChanges(repoId, prId, iterationId, compareTo) {
+    const compare = compareTo ? `&$compareTo=${compareTo}` : '';
+    const changes = [];
+    for (let skip = 0; ; skip += CHANGES_PER_CALL) {
+      const data = await request('GET', `${prUrl(repoId, prId)}/iterations/${iterationId}/changes?$top=${CHANGES_PER_CALL}&$skip=${skip}${compare}`, {
+        what: `Changes of PR #${prId} iteration ${iterationId}`
+      });
+      const page = data?.changeEntries || [];
+      changes.push(...page);
+      if (page.length < CHANGES_PER_CALL) return changes;
+    }
+  }
+
+  // === THREADS ===
+  /**
+   * PR comment threads. With an iteration, thread positions are tracked to that iteration.
+   */
+  async function getThreads(repoId, prId, { iteration } = {}) {
+    const query = iteration ? `?$iteration=${iteration}` : '';
+    return (await request('GET', `${prUrl(repoId, prId)}/threads${query}`, { what: `Threads of PR #${prId}` })).value || [];
+  }
+
+  function createThread(repoId, prId, thread) {
+    return request('POST', `${prUrl(repoId, prId)}/threads`, { body: thread, what: `PR #${prId} threads` });
+  }
+
+  function replyToThread(repoId, prId, threadId, content) {
+    return request('POST', `${prUrl(repoId, prId)}/threads/${threadId}/comments`, {
+      body: { parentCommentId: 1, content, commentType: 1 },
+      what: `Thread #${threadId}`
+    });
+  }
+
+  function updateThread(repoId, prId, threadId, changes) {
+    return request('PATCH', `${prUrl(repoId, prId)}/threads/${threadId}`, { body: changes, what: `Thread #${threadId}` });
+  }
+
+  // === REVIEWERS / IDENTITY ===
+  /** User the PAT belongs to ({id, providerDisplayName, properties, ...}) */
+  async function getAuthenticatedUser() {
+    const data = await request('GET', `${orgUrl}/_apis/connectionData`, { what: 'Connection data', apiVersion: CONNECTION_DATA_API_VERSION });
+    return data?.authenticatedUser || null;
+  }
+
+  /**
+   * Set a reviewer vote: 10 approved, 5 approved with suggestions, 0 none, -5 waiting for author, -10 rejected
+   */
+  function setReviewerVote(repoId, prId, reviewerId, vote) {
+    return request('PUT', `${prUrl(repoId, prId)}/reviewers/${reviewerId}`, { body: { vote }, what: `Reviewers of PR #${prId}` });
+  }
+
+  return {
+    request,
+    getWorkItem,
+    getWorkItems,
+    createWorkItem,
+    updateWorkItem,
+    addWorkItemComment,
+    workItemUrl,
+    relatedIds,
+    getParentWorkItem,
+    queryWorkItemIds,
+    runSavedQuery,
+    getRepositories,
+    findRepository,
+    getItemContent,
+    getPullRequest,
+    getPullRequestWorkItems,
+    getIterations,
+    getIterationChanges,
+    getThreads,
+    createThread,
+    replyToThread,
+    updateThread,
+    getAuthenticatedUser,
+    setReviewerVote
+  };
+}
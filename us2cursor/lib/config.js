@@ -0,0 +1,80 @@
+// === PROJECT CONFIG ===
+// Per-repository settings from a .us2cursor.json in the working directory (or a parent)
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+
+export const PROJECT_CONFIG_FILE = '.us2cursor.json';
+
+let cached = null;
+
+/**
+ * Path of the nearest .us2cursor.json, walking up from a directory
+ * @returns {string|null}
+ */
+export function findProjectConfig(start = process.cwd()) {
+  let dir = start;
+  while (true) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Nearest .us2cursor.json, e.g. {"us2b": {"stack": "nestjs"}}
+ * @returns {{path: string|null, settings: object}} Empty settings when there is no file
+ * @throws {Error} When the file is not valid JSON
+ */
+export function loadProjectConfig() {
+  if (cached) return cached;
+
+  const path = findProjectConfig();
+  if (!path) return (cached = { path: null, settings: {} });
+
+  try {
+    return (cached = { path, settings: JSON.parse(readFileSync(path, 'utf8')) });
+  } catch (err) {
+    throw new Error(`Invalid ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Setting for a command: <COMMAND>_<KEY> environment variable, then "<command>.<key>" in .us2cursor.json
+ * @param {string} command - Command name (us2b, us2f, ...)
+ * @param {string} key - Setting name in camelCase (e.g. "stack")
+ */
+export function getSetting(command, key) {
+  const envName = `${command}_${key.replace(/[A-Z]/g, c => `_${c}`)}`.toUpperCase();
+  if (process.env[envName]) return process.env[envName];
+  return loadProjectConfig().settings[command]?.[key] ?? null;
+}
+
+/**
+ * Resolve a path from a setting: relative to the .us2cursor.json folder, or to the working directory without one
+ */
+export function resolveProjectPath(path) {
+  const { path: configPath } = loadProjectConfig();
+  return resolve(configPath ? dirname(configPath) : process.cwd(), path);
+}
+
+/**
+ * JSON setting that is either inline in .us2cursor.json or a path to a JSON file (env variables hold paths)
+ * @param {string} what - Name used in error messages, e.g. "Figma component map"
+ * @returns {any|null} null when the setting is not configured
+ * @throws {Error} When the file can't be read or is not valid JSON
+ */
+export function getJsonSetting(command, key, what) {
+  const setting = getSetting(command, key);
+  if (!setting) return null;
+  if (typeof setting === 'object') return setting;
+
+  const path = resolveProjectPath(setting);
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${what} ${path}: ${err.message}`);
+  }
+}
@@ -0,0 +1,120 @@
+// === FIGMA AC COVERAGE ===
+// Deterministic matrix of Figma design elements (see extractDesignElements) against acceptance criteria
+
+// Words that never decide whether an AC covers an element
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'be', 'it', 'its',
+  'this', 'that', 'as', 'by', 'at', 'from', 'user', 'users', 'should', 'must', 'can', 'when', 'then',
+  'given', 'if', 'i', 'my', 'we', 'you', 'your', 'will', 'shown', 'show', 'shows', 'see', 'sees', 'display', 'displays'
+]);
+
+// Layer-name words that describe the design, not the feature ("Button/Primary")
+const DESIGN_WORDS = new Set([
+  'button', 'btn', 'primary', 'secondary', 'tertiary', 'default', 'icon', 'text', 'label', 'frame',
+  'component', 'instance', 'group', 'container', 'wrapper', 'large', 'medium', 'small', 'state', 'variant'
+]);
+
+// A state is covered when an AC uses one of these words
+const STATE_SYNONYMS = {
+  empty: ['empty', 'nothing', 'zero', 'no items', 'no data'],
+  error: ['error', 'fail', 'invalid', 'wrong', 'unable'],
+  loading: ['loading', 'load', 'spinner', 'progress', 'wait', 'skeleton'],
+  skeleton: ['loading', 'load', 'skeleton', 'placeholder'],
+  success: ['success', 'successful', 'confirm', 'confirmation', 'saved', 'done'],
+  disabled: ['disabled', 'disable', 'inactive', 'cannot', 'unavailable'],
+  offline: ['offline', 'connection', 'network'],
+  expired: ['expired', 'expire', 'expiration'],
+  selected: ['selected', 'select', 'active', 'highlight', 'highlighted'],
+  'no results': ['no results', 'no result', 'nothing found', 'not found'],
+  'not found': ['not found', '404', 'missing']
+};
+
+const MAX_MATRIX_ROWS = 40;
+
+const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Crude stemming, applied to both sides ("notifications" ~ "notification")
+const stem = word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+function significantWords(text) {
+  return normalize(text).split(' ').filter(w => w.length > 1 && !STOPWORDS.has(w)).map(stem);
+}
+
+// Whether an AC covers a text or control: the exact text, or most of its meaningful words
+function coversPhrase(ac, phrase) {
+  if (normalize(ac.text).includes(normalize(phrase))) return true;
+
+  const all = significantWords(phrase);
+  const words = all.filter(w => !DESIGN_WORDS.has(w));
+  const wanted = words.length ? words : all;
+  if (!wanted.length) return false;
+
+  const acWords = new Set(significantWords(ac.text));
+  const found = wanted.filter(w => acWords.has(w)).length;
+  return wanted.length <= 2 ? found === wanted.length : found / wanted.length >= 0.6;
+}
+
+function coversState(ac, state) {
+  const lower = state.toLowerCase();
+  const keys = Object.keys(STATE_SYNONYMS).filter(key => new RegExp(`\\b${key}\\b`).test(lower));
+  if (!keys.length) return coversPhrase(ac, state);
+
+  const acText = ` ${normalize(ac.text)} `;
+  const acWords = new Set(significantWords(ac.text));
+  return keys.some(key => STATE_SYNONYMS[key].some(word => (word.includes(' ') ? acText.includes(` ${word} `) : acWords.has(stem(word)))));
+}
+
+/**
+ * Element → covering ACs. An element no AC mentions is "uncovered"
+ * @param {Array<{screen: string, type: string, role?: string, name: string}>} elements - From extractDesignElements
+ * @param {Array<{number: number, text: string}>} acs - From parseAcceptanceCriteria (lib/html.js)
+ * @returns {{rows: Array<{screen: string, type: string, role?: string, name: string, acs: number[]}>, uncovered: object[], omitted: number}} omitted: rows beyond the matrix limit
+ */
+export function buildCoverageMatrix(elements, acs) {
+  const rows = elements.slice(0, MAX_MATRIX_ROWS).map(element => ({
+    ...element,
+    acs: acs
+      .filter(ac => (element.type === 'state' ? coversState(ac, element.name) : coversPhrase(ac, element.name)))
+      .map(ac => ac.number)
+  }));
+
+  return {
+    rows,
+    uncovered: rows.filter(row => !row.acs.length),
+    omitted: Math.max(0, elements.length - MAX_MATRIX_ROWS)
+  };
+}
+
+function describeElement(row) {
+  if (row.type === 'interactive') return `${row.role[0].toUpperCase()}${row.role.slice(1)} "${row.name}"`;
+  if (row.type === 'text') return `Text "${row.name.length > 60 ? `${row.name.slice(0, 57)}...` : row.name}"`;
+  return `State: ${row.name}`;
+}
+
+/**
+ * Markdown table of the matrix ('' when there are no elements)
+ */
+export function formatCoverageMatrix({ rows, uncovered, omitted }) {
+  if (!rows.length) return '';
+
+  const cell = text => text.replace(/\|/g, '\\|');
+  const lines = [
+    `${rows.length - uncovered.length} of ${rows.length} design elements covered by an AC${omitted ? ` (${omitted} more not checked)` : ''}`,
+    '',
+    '| Screen | Element | AC |',
+    '|--------|---------|----|',
+    ...rows.map(row => `| ${cell(row.screen)} | ${cell(describeElement(row))} | ${row.acs.length ? row.acs.join(', ') : '❌ uncovered'} |`)
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * One draft AC per uncovered element, to seed "Suggested ACs to add"
+ */
+export function seedSuggestedAcs({ uncovered }) {
+  return uncovered.map(row => {
+    if (row.type === 'interactive') return `${row.screen}: define what happens when the user uses the ${row.role} "${row.name}"`;
+    if (row.type === 'text') return `${row.screen} shows "${row.name}" (when it is shown and where its content comes from)`;
+    return `${row.screen}: define when the "${row.name}" state appears and what the user sees`;
+  });
+}
@@ -0,0 +1,191 @@
+// === DIFF ===
+// Line-based unified diff (Myers algorithm) used by prreview
+
+// Above this many edits the middle of the file is reported as fully replaced
+// instead of searching for the minimal diff (keeps memory bounded on rewrites)
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  // A trailing newline is not an extra (empty) line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Myers O(ND) shortest edit script between two line arrays
+ * @returns {Array<'equal'|'del'|'add'>|null} Edit script, or null when it exceeds maxD
+ */
+function myers(a, b, maxD) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > maxD) return null;
+    // Snapshot of the furthest-reaching paths after d-1 edits, for k in [-d-1, d+1]
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+
+  // Walk the snapshots backwards to recover the edit script
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snap = trace[d];
+    const at = k => snap[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) { script.push('equal'); x--; y--; }
+    if (d > 0) script.push(x === prevX ? 'add' : 'del');
+    x = prevX;
+    y = prevY;
+  }
+
+  return script.reverse();
+}
+
+/**
+ * Compute line operations between two texts
+ * @param {string|null} oldText - Previous content (null/empty for added files)
+ * @param {string|null} newText - New content (null/empty for deleted files)
+ * @returns {Array<{type: 'equal'|'add'|'del', text: string, oldLine: number|null, newLine: number|null}>}
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix/suffix never needs the O(ND) search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB, MAX_EDIT_DISTANCE)
+    || [...middleA.map(() => 'del'), ...middleB.map(() => 'add')];
+
+  const script = [
+    ...Array(start).fill('equal'),
+    ...middle,
+    ...Array(a.length - endA).fill('equal')
+  ];
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const type of script) {
+    if (type === 'equal') {
+      ops.push({ type, text: b[j], oldLine: i + 1, newLine: j + 1 });
+      i++; j++;
+    } else if (type === 'del') {
+      ops.push({ type, text: a[i], oldLine: i + 1, newLine: null });
+      i++;
+    } else {
+      ops.push({ type, text: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    }
+  }
+  return ops;
+}
+
+/**
+ * Group line operations into hunks with surrounding context
+ * @param {Array} ops - Output of diffLines
+ * @param {number} [context=3] - Unchanged lines kept around each change
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array}>}
+ */
+export function buildHunks(ops, context = 3) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, idx) => {
+    if (op.type === 'equal') return;
+
+    const from = Math.max(0, idx - context);
+    if (current && from <= lastChange + context + 1) {
+      current.end = idx;
+    } else {
+      if (current) hunks.push(current);
+      current = { start: from, end: idx };
+    }
+    lastChange = idx;
+  });
+  if (current) hunks.push(current);
+
+  return hunks.map(({ start, end }) => {
+    const lines = ops.slice(start, Math.min(ops.length, end + context + 1));
+    const oldLines = lines.filter(l => l.type !== 'add').length;
+    const newLines = lines.filter(l => l.type !== 'del').length;
+
+    // Start positions: line number of the first line present on each side,
+    // or the line just before the hunk when that side is empty (git convention)
+    const before = ops.slice(0, start);
+    const oldBefore = before.filter(l => l.type !== 'add').length;
+    const newBefore = before.filter(l => l.type !== 'del').length;
+
+    return {
+      oldStart: oldLines ? oldBefore + 1 : oldBefore,
+      oldLines,
+      newStart: newLines ? newBefore + 1 : newBefore,
+      newLines,
+      lines
+    };
+  });
+}
+
+/**
+ * Render hunks for the LLM prompt
+ * Added lines: "+<new line>|code", context: " <new line>|code", removed: "-|code"
+ */
+export function formatHunks(hunks) {
+  const out = [];
+  for (const hunk of hunks) {
+    out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const line of hunk.lines) {
+      if (line.type === 'add') out.push(`+${line.newLine}|${line.text}`);
+      else if (line.type === 'del') out.push(`-|${line.text}`);
+      else out.push(` ${line.newLine}|${line.text}`);
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Old-file line numbers that were removed or modified in the new version
+ * @returns {Set<number>}
+ */
+export function changedOldLines(oldText, newText) {
+  return new Set(diffLines(oldText, newText).filter(op => op.type === 'del').map(op => op.oldLine));
+}
+
+/**
+ * Unified diff between two versions of a file, ready for the review prompt
+ * @param {string|null} oldContent - Content at the target commit (null for new files)
+ * @param {string} newContent - Content at the source commit
+ * @param {number} [context=3] - Unchanged lines kept around each change
+ */
+export function unifiedDiff(oldContent, newContent, context = 3) {
+  return formatHunks(buildHunks(diffLines(oldContent, newContent), context));
+}
@@ -0,0 +1,165 @@
+// === DEFINITION OF READY ===
+// Deterministic us2check rules evaluated against the raw work item fields before the LLM call
+
+import { getJsonSetting } from './config.js';
+import { findFigmaLinks } from './figma.js';
+import { htmlToText, parseAcceptanceCriteria } from './html.js';
+
+// Short names for the fields rules usually check
+const FIELD_ALIASES = {
+  title: 'System.Title',
+  description: 'System.Description',
+  acceptanceCriteria: 'Microsoft.VSTS.Common.AcceptanceCriteria',
+  storyPoints: 'Microsoft.VSTS.Scheduling.StoryPoints',
+  areaPath: 'System.AreaPath',
+  iterationPath: 'System.IterationPath',
+  assignedTo: 'System.AssignedTo',
+  tags: 'System.Tags',
+  state: 'System.State',
+  priority: 'Microsoft.VSTS.Common.Priority'
+};
+
+// Area and iteration paths always have a value: the project root counts as "not set"
+const PATH_FIELDS = ['System.AreaPath', 'System.IterationPath'];
+
+const GHERKIN = /\bgiven\b[\s\S]*\bwhen\b[\s\S]*\bthen\b/i;
+
+const fieldName = name => FIELD_ALIASES[name] || name;
+
+// Field value as plain text (HTML fields are stripped, identities give their display name)
+function fieldText(workItem, name) {
+  const value = workItem.fields?.[fieldName(name)];
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return value.displayName || value.uniqueName || '';
+  return htmlToText(String(value));
+}
+
+const pass = detail => ({ passed: true, detail });
+const fail = detail => ({ passed: false, detail });
+
+/**
+ * Rule types: check(rule, workItem) gives {passed, detail}, label(rule) is the default description
+ */
+const RULE_TYPES = {
+  'field-set': {
+    label: rule => `${rule.field} is set`,
+    validate: rule => (rule.field ? null : '"field" is required'),
+    check(rule, workItem) {
+      const name = fieldName(rule.field);
+      const value = fieldText(workItem, name);
+      const excluded = [].concat(rule.not || []).map(v => String(v).toLowerCase());
+      if (!value || excluded.includes(value.toLowerCase())) return fail(`${rule.field} is empty`);
+      if (PATH_FIELDS.includes(name) && !value.includes('\\')) return fail(`${rule.field} is the project root (${value})`);
+      return pass(value.length > 60 ? `${value.slice(0, 57)}...` : value);
+    }
+  },
+  'field-match': {
+    label: rule => `${rule.field} matches /${rule.pattern}/`,
+    validate: rule => (rule.field && rule.pattern ? null : '"field" and "pattern" are required'),
+    check(rule, workItem) {
+      const value = fieldText(workItem, rule.field);
+      return new RegExp(rule.pattern, 'i').test(value) ? pass(value) : fail(`${rule.field} "${value}" does not match`);
+    }
+  },
+  'min-acs': {
+    label: rule => `At least ${rule.min} acceptance criteria`,
+    validate: rule => (Number.isInteger(rule.min) && rule.min > 0 ? null : '"min" must be a positive integer'),
+    check(rule, workItem) {
+      const count = parseAcceptanceCriteria(workItem.fields?.['Microsoft.VSTS.Common.AcceptanceCriteria']).length;
+      return count >= rule.min ? pass(`${count} ACs`) : fail(`${count} of ${rule.min} ACs`);
+    }
+  },
+  'ac-format': {
+    label: rule => (rule.pattern ? `Every AC matches /${rule.pattern}/` : 'Every AC is written as Given/When/Then'),
+    validate: () => null,
+    check(rule, workItem) {
+      const acs = parseAcceptanceCriteria(workItem.fields?.['Microsoft.VSTS.Common.AcceptanceCriteria']);
+      if (!acs.length) return fail('No ACs');
+      const pattern = rule.pattern ? new RegExp(rule.pattern, 'i') : GHERKIN;
+      const wrong = acs.filter(ac => !pattern.test(ac.text)).map(ac => ac.number);
+      return wrong.length ? fail(`AC ${wrong.join(', ')} not in format`) : pass(`${acs.length} ACs`);
+    }
+  },
+  'figma-link': {
+    label: () => 'A Figma link is present',
+    validate: () => null,
+    check(rule, workItem) {
+      const links = findFigmaLinks(workItem);
+      return links.length ? pass(`${links.length} link(s)`) : fail('No Figma link in description, ACs or links');
+    }
+  },
+  'forbidden-text': {
+    label: rule => `No "${rule.pattern || 'TBD'}" text`,
+    validate: () => null,
+    check(rule, workItem) {
+      const pattern = new RegExp(rule.pattern || '\\bTBD\\b', 'i');
+      const fields = rule.fields || ['title', 'description', 'acceptanceCriteria'];
+      const found = fields.filter(f => pattern.test(fieldText(workItem, f)));
+      return found.length ? fail(`Found in ${found.join(', ')}`) : pass('');
+    }
+  }
+};
+
+export const RULE_TYPE_NAMES = Object.keys(RULE_TYPES);
+
+/**
+ * Rules from US2CHECK_RULES (path) or "us2check.rules" in .us2cursor.json (path, or inline array / {rules: [...]})
+ * @returns {Array<{id: string, type: string, description: string, severity: 'blocker'|'warning'}>|null} null when none are configured
+ * @throws {Error} When the file is invalid or a rule is malformed
+ */
+export function loadRules() {
+  const config = getJsonSetting('us2check', 'rules', 'Definition of Ready rules');
+  if (!config) return null;
+
+  const rules = Array.isArray(config) ? config : config.rules;
+  if (!Array.isArray(rules)) throw new Error('Definition of Ready rules must be an array (or {"rules": [...]})');
+
+  return rules.map((rule, i) => {
+    const where = `Definition of Ready rule #${i + 1}`;
+    const type = RULE_TYPES[rule.type];
+    if (!type) throw new Error(`${where}: unknown type "${rule.type}". Supported: ${RULE_TYPE_NAMES.join(', ')}`);
+    const problem = type.validate(rule);
+    if (problem) throw new Error(`${where} (${rule.type}): ${problem}`);
+    if (rule.severity && !['blocker', 'warning'].includes(rule.severity)) {
+      throw new Error(`${where}: severity must be "blocker" or "warning"`);
+    }
+    return {
+      ...rule,
+      id: rule.id || (rule.field ? `${rule.type}:${rule.field}` : rule.type),
+      description: rule.description || type.label(rule),
+      severity: rule.severity || 'blocker'
+    };
+  });
+}
+
+/**
+ * Evaluate rules against a work item (fetched with relations for figma-link)
+ * @returns {{passed: boolean, rules: Array<{id: string, description: string, severity: string, passed: boolean, detail: string}>}} passed is false when a blocker fails
+ */
+export function evaluateRules(rules, workItem) {
+  const results = rules.map(rule => {
+    let outcome;
+    try {
+      outcome = RULE_TYPES[rule.type].check(rule, workItem);
+    } catch (err) {
+      // e.g. an invalid regular expression in the rules file
+      outcome = fail(err.message);
+    }
+    return { id: rule.id, description: rule.description, severity: rule.severity, ...outcome };
+  });
+
+  return {
+    passed: results.every(r => r.passed || r.severity !== 'blocker'),
+    rules: results
+  };
+}
+
+/**
+ * "- ✅ description (detail)" lines, warnings marked ⚠️
+ */
+export function formatRuleResults({ rules }) {
+  return rules.map(r => {
+    const mark = r.passed ? '✅' : r.severity === 'blocker' ? '❌' : '⚠️';
+    return `- ${mark} ${r.description}${r.detail ? ` (${r.detail})` : ''}`;
+  }).join('\n');
+}
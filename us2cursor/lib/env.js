@@ -0,0 +1,63 @@
+// === ENVIRONMENT ===
+// .env loading, entry point detection and process helpers shared by every command
+
+import { config } from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { existsSync, realpathSync } from 'fs';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+let loaded = false;
+
+/**
+ * Load .env (defaults/template) then .env.local (overrides) from the package directory.
+ * Safe to call more than once.
+ */
+export function loadEnv() {
+  if (loaded) return;
+  loaded = true;
+
+  config({ path: join(ROOT_DIR, '.env') });
+
+  const localEnvPath = join(ROOT_DIR, '.env.local');
+  if (existsSync(localEnvPath)) {
+    config({ path: localEnvPath, override: true });
+  }
+}
+
+/**
+ * Whether a module is the script node was started with (also through npm bin symlinks)
+ * @param {string} metaUrl - import.meta.url of the module
+ */
+export function isMainModule(metaUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(metaUrl));
+  } catch {
+    return false;
+  }
+}
+
+// === PROCESS ===
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  // The command worked but its result should fail a pipeline
+  // (prreview verdict REQUEST CHANGES, us2check status INCOMPLETE)
+  CHECK_FAILED: 2
+};
+
+/**
+ * Running in a pipeline (CI, or TF_BUILD in Azure Pipelines)
+ */
+export function isCI() {
+  return Boolean(process.env.CI || process.env.TF_BUILD);
+}
+
+/**
+ * Whether prompts can be shown: a terminal is attached and we are not in CI
+ */
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY) && !isCI();
+}
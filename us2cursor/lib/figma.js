@@ -1,6 +1,23 @@
 // === FIGMA API ===
 // Shared module for Figma API integration
 
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { httpFetch, retryDelay, waitBeforeRetry } from './http.js';
+import { getJsonSetting, getSetting, resolveProjectPath } from './config.js';
+
+const FIGMA_API = 'https://api.figma.com/v1';
+// Levels below the linked node (or each page) that are downloaded; the summary reads 5
+const DEFAULT_DEPTH = 6;
+// Pages read when a link has no node-id, one request each
+const MAX_PAGES = 5;
+// Retries for rate-limited (429) and server (5xx) responses
+const MAX_RETRIES = 3;
+// Longest Retry-After we are willing to wait, in seconds
+const MAX_RETRY_WAIT = 60;
+
 /**
  * Parse a Figma URL and extract file ID and optional node ID
  * Supports formats:
@@ -8,9 +25,10 @@
  * - https://www.figma.com/design/FILEID/name
  * - https://www.figma.com/file/FILEID/name?node-id=NODEID
  * - https://www.figma.com/design/FILEID/name?node-id=123-456
+ * - https://www.figma.com/proto/FILEID/name?node-id=123-456
  */
 export function parseFigmaUrl(url) {
-  const fileMatch = url.match(/figma\.com\/(file|design)\/([a-zA-Z0-9]+)/);
+  const fileMatch = url.match(/figma\.com\/(file|design|proto)\/([a-zA-Z0-9]+)/);
   if (!fileMatch) return null;
 
   const fileId = fileMatch[2];
@@ -32,13 +50,68 @@ export function isFigmaUrl(input) {
   return input.includes('figma.com/');
 }
 
+// === LINK DETECTION ===
+const FIGMA_URL_PATTERN = /https?:\/\/(?:www\.)?figma\.com\/(?:file|design|proto)\/[A-Za-z0-9]+[^\s"'<>)\]]*/g;
+
+/**
+ * Figma URLs in a text or HTML field, without duplicates
+ */
+export function extractFigmaUrls(text) {
+  if (!text) return [];
+  const urls = (text.match(FIGMA_URL_PATTERN) || []).map(url => url.replace(/&amp;/g, '&').replace(/[.,;]+$/, ''));
+  return [...new Set(urls)];
+}
+
+/**
+ * Figma links of a work item: description, acceptance criteria and hyperlink/attachment relations
+ * @param {object} workItem - Work item fetched with relations
+ * @returns {Array<{url: string, source: string}>} source is "description", "acceptance criteria" or "link"
+ */
+export function findFigmaLinks(workItem) {
+  const f = workItem.fields || {};
+  const found = [
+    ...extractFigmaUrls(f['System.Description']).map(url => ({ url, source: 'description' })),
+    ...extractFigmaUrls(f['Microsoft.VSTS.Common.AcceptanceCriteria']).map(url => ({ url, source: 'acceptance criteria' })),
+    ...(workItem.relations || [])
+      .filter(r => r.rel === 'Hyperlink' || r.rel === 'AttachedFile')
+      .flatMap(r => extractFigmaUrls(`${r.url} ${r.attributes?.comment || ''} ${r.attributes?.name || ''}`))
+      .map(url => ({ url, source: 'link' }))
+  ];
+
+  // Same file + node linked twice (e.g. in the description and as a hyperlink)
+  const seen = new Set();
+  return found.filter(({ url }) => {
+    const parsed = parseFigmaUrl(url);
+    const key = parsed ? `${parsed.fileId}/${parsed.nodeId}` : url;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Figma URLs are fetched when a PAT is given; anything else is used as a screen description
+ * @param {{componentMap?: object|null}} [options] - See loadComponentMap
+ * @returns {Promise<{text: string, url: string|null, fetched: boolean, cached?: boolean, elements?: object[], components?: object, error?: string}>} text is ready for a prompt
+ */
+export async function describeFigmaInput(input, index, figmaPat, options = {}) {
+  if (!isFigmaUrl(input)) return { text: `[Screen ${index}] ${input}`, url: null, fetched: false };
+
+  const result = await fetchFigmaContent(input, figmaPat, options);
+  if (result.success) {
+    return { text: `[Screen ${index}]\nURL: ${input}\n${result.summary}`, url: input, fetched: true, cached: result.cached, elements: result.elements, components: result.components };
+  }
+  return { text: `[Screen ${index}] ${result.fallback}`, url: input, fetched: false, error: result.error };
+}
+
 /**
  * Fetch content from a Figma file/node
  * @param {string} url - Figma URL
  * @param {string} figmaPat - Figma Personal Access Token
- * @returns {Promise<{success: boolean, summary?: string, error?: string, fallback?: string}>}
+ * @param {{componentMap?: object|null}} [options] - Map Figma components to code components (see loadComponentMap)
+ * @returns {Promise<{success: boolean, summary?: string, tokens?: object, elements?: object[], components?: {mapped: object[], unmapped: string[]}, cached?: boolean, error?: string, fallback?: string}>} tokens: see extractDesignTokens, elements: see extractDesignElements
  */
-export async function fetchFigmaContent(url, figmaPat) {
+export async function fetchFigmaContent(url, figmaPat, { componentMap = null } = {}) {
   if (!figmaPat) {
     return { success: false, error: 'No FIGMA_PAT configured', fallback: url };
   }
@@ -50,33 +123,150 @@ export async function fetchFigmaContent(url, figmaPat) {
 
   try {
     const { fileId, nodeId } = parsed;
-    let apiUrl = `https://api.figma.com/v1/files/${fileId}`;
-    if (nodeId) {
-      apiUrl += `/nodes?ids=${nodeId}`;
-    }
+    const { data, cached } = await loadFigmaData(fileId, nodeId, figmaPat);
+    const tokens = extractDesignTokens(data, nodeId);
+    const elements = extractDesignElements(data, nodeId);
+    let summary = extractFigmaSummary(data, nodeId, tokens);
+    if (!componentMap) return { success: true, summary, tokens, elements, cached };
 
-    const res = await fetch(apiUrl, {
+    const components = mapComponents(extractComponentInstances(data, nodeId), componentMap);
+    const componentLines = summarizeComponents(components);
+    if (componentLines) summary += `\n${componentLines}`;
+    return { success: true, summary, tokens, elements, components, cached };
+
+  } catch (err) {
+    return { success: false, error: err.message, fallback: url };
+  }
+}
+
+// === API CLIENT ===
+/**
+ * GET a Figma API path, retrying 429/5xx responses (Retry-After, then exponential backoff)
+ * @throws {Error} "Figma API <status>: <body>" once retries are exhausted
+ */
+async function figmaGet(path, figmaPat) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await httpFetch(`${FIGMA_API}${path}`, {
       headers: { 'X-Figma-Token': figmaPat }
     });
+    if (res.ok) return res.json();
 
-    if (!res.ok) {
-      const errorText = await res.text();
-      return { success: false, error: `Figma API ${res.status}: ${errorText}`, fallback: url };
+    const retryable = res.status === 429 || res.status >= 500;
+    if (retryable && attempt < MAX_RETRIES) {
+      await waitBeforeRetry(retryDelay(res, attempt, MAX_RETRY_WAIT));
+      continue;
     }
 
-    const data = await res.json();
-    const summary = extractFigmaSummary(data, nodeId);
-    return { success: true, summary };
-
-  } catch (err) {
-    return { success: false, error: err.message, fallback: url };
+    const errorText = await res.text();
+    const retried = retryable ? ` (retried ${MAX_RETRIES} times)` : '';
+    throw new Error(`Figma API ${res.status}${retried}: ${errorText.slice(0, 300)}`);
   }
 }
 
+function figmaDepth() {
+  const depth = parseInt(getSetting('figma', 'depth'), 10);
+  return depth > 0 ? depth : DEFAULT_DEPTH;
+}
+
 /**
- * Extract a human-readable summary from Figma API response
+ * File or node response for a link. Node links fetch only that node; file links fetch
+ * their first pages one by one and merge them into a file-shaped response.
+ * Responses are cached per file version, so an unchanged file costs one small request.
+ * @returns {Promise<{data: object, cached: boolean}>}
  */
-export function extractFigmaSummary(data, nodeId) {
+async function loadFigmaData(fileId, nodeId, figmaPat) {
+  const depth = figmaDepth();
+  const cache = openCache(fileId);
+
+  // depth=1 is the file name, version and page list: cheap enough to check on every run
+  const file = cache || !nodeId ? await figmaGet(`/files/${fileId}?depth=1`, figmaPat) : null;
+  const version = file ? file.version || file.lastModified : null;
+  const store = version ? cache : null;
+
+  const getNodes = async ids => {
+    const path = `/files/${fileId}/nodes?ids=${encodeURIComponent(ids.join(','))}&depth=${depth}`;
+    const hit = store?.read(version, path);
+    if (hit) return { data: hit, cached: true };
+    const data = await figmaGet(path, figmaPat);
+    store?.write(version, path, data);
+    return { data, cached: false };
+  };
+
+  if (nodeId) return getNodes([nodeId.replace('-', ':')]);
+
+  const pages = (file.document?.children || []).slice(0, MAX_PAGES);
+  const responses = [];
+  for (const page of pages) responses.push(await getNodes([page.id]));
+
+  return { data: mergePages(file, responses.map(r => r.data)), cached: responses.every(r => r.cached) };
+}
+
+// Page node responses as one file response (what the summary and token extraction read)
+function mergePages(file, pageResponses) {
+  const nodes = pageResponses.flatMap(r => Object.values(r.nodes || {})).filter(n => n?.document);
+  return {
+    name: file.name,
+    document: { ...file.document, children: nodes.map(n => n.document) },
+    styles: Object.assign({}, ...nodes.map(n => n.styles)),
+    components: Object.assign({}, ...nodes.map(n => n.components)),
+    componentSets: Object.assign({}, ...nodes.map(n => n.componentSets))
+  };
+}
+
+// === CACHE ===
+/**
+ * On-disk cache of one file: <dir>/<fileId>/<version>/<request hash>.json. Writing a new version
+ * removes the old ones. FIGMA_CACHE / "figma.cache" sets the folder, "off" disables it.
+ * @returns {{read: Function, write: Function}|null} null when the cache is disabled
+ */
+function openCache(fileId) {
+  const setting = getSetting('figma', 'cache');
+  if (setting === false || /^(off|false|0)$/i.test(String(setting))) return null;
+
+  const fileDir = join(setting ? resolveProjectPath(setting) : join(homedir(), '.cache', 'us2cursor', 'figma'), fileId);
+  const safe = version => String(version).replace(/[^\w.-]/g, '_');
+  const entry = (version, path) => join(fileDir, safe(version), `${createHash('sha1').update(path).digest('hex').slice(0, 16)}.json`);
+
+  return {
+    read(version, path) {
+      const file = entry(version, path);
+      if (!existsSync(file)) return null;
+      try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    // A cache that can't be written is not an error: the response is used anyway
+    write(version, path, data) {
+      try {
+        if (existsSync(fileDir)) {
+          readdirSync(fileDir).filter(v => v !== safe(version)).forEach(v => rmSync(join(fileDir, v), { recursive: true, force: true }));
+        }
+        mkdirSync(join(fileDir, safe(version)), { recursive: true });
+        writeFileSync(entry(version, path), JSON.stringify(data));
+      } catch {
+        // ignore
+      }
+    }
+  };
+}
+
+// Document (plus style and component metadata) of a file or node response
+function resolveRoot(data, nodeId) {
+  const root = nodeId && data.nodes ? data.nodes[nodeId.replace('-', ':')] || {} : data;
+  return {
+    document: root.document || null,
+    styles: root.styles || {},
+    components: root.components || {},
+    componentSets: root.componentSets || {}
+  };
+}
+
+/**
+ * Extract a human-readable summary from Figma API response, design tokens included
+ */
+export function extractFigmaSummary(data, nodeId, tokens = extractDesignTokens(data, nodeId)) {
   const elements = [];
   const componentNames = new Set();
 
@@ -101,20 +291,364 @@ export function extractFigmaSummary(data, nodeId) {
     }
   }
 
-  // Handle different response structures
-  if (nodeId && data.nodes) {
-    const nodeData = data.nodes[nodeId.replace('-', ':')];
-    if (nodeData?.document) {
-      traverse(nodeData.document);
-    }
-  } else if (data.document) {
-    traverse(data.document);
-  }
+  const { document } = resolveRoot(data, nodeId);
+  if (document) traverse(document);
 
   const parts = [];
   if (data.name) parts.push(`File: ${data.name}`);
   if (componentNames.size > 0) parts.push(`Components: ${[...componentNames].slice(0, 10).join(', ')}`);
   if (elements.length > 0) parts.push(`Elements: ${elements.slice(0, 15).join('; ')}`);
 
+  const tokenLines = summarizeTokens(tokens);
+  if (tokenLines) parts.push(tokenLines);
+
   return parts.join('\n') || 'Could not extract Figma content';
 }
+
+// === DESIGN TOKENS ===
+// Nodes visited per response, big files are sampled from the top
+const MAX_TOKEN_NODES = 5000;
+// Entries per token group in the summary
+const MAX_TOKENS_SHOWN = 8;
+
+const toHex = v => Math.round(v * 255).toString(16).padStart(2, '0').toUpperCase();
+
+function paintToHex(paint) {
+  if (paint.type !== 'SOLID' || paint.visible === false || !paint.color) return null;
+  const { r, g, b, a = 1 } = paint.color;
+  const alpha = a * (paint.opacity ?? 1);
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha < 1 ? toHex(alpha) : ''}`;
+}
+
+// Map keyed by value, counting uses and keeping the style name when there is one
+function countToken(map, key, props = {}) {
+  const entry = map.get(key) || { ...props, count: 0 };
+  entry.count++;
+  if (props.style && !entry.style) entry.style = props.style;
+  map.set(key, entry);
+}
+
+const byUse = map => [...map.values()].sort((a, b) => b.count - a.count);
+
+/**
+ * Design tokens used in a Figma file or node: colors, typography, auto-layout spacing, radii and variants
+ * @returns {{colors: Array<{hex: string, style?: string, count: number}>, typography: Array<{fontFamily: string, fontWeight: number, fontSize: number, lineHeight?: number, style?: string, count: number}>, spacing: number[], layouts: Array<{name: string, direction: string, gap: number, padding: number[]}>, radii: number[], variants: Array<{component: string, properties: Object<string, string[]>}>}}
+ */
+export function extractDesignTokens(data, nodeId) {
+  const { document, styles } = resolveRoot(data, nodeId);
+  const styleName = id => (id && styles[id]?.name) || undefined;
+
+  const colors = new Map();
+  const typography = new Map();
+  const spacing = new Set();
+  const layouts = [];
+  const radii = new Set();
+  const variants = new Map();
+
+  const addVariant = (component, properties) => {
+    const entry = variants.get(component) || {};
+    for (const [prop, value] of Object.entries(properties)) {
+      entry[prop] = [...new Set([...(entry[prop] || []), String(value)])];
+    }
+    variants.set(component, entry);
+  };
+
+  let visited = 0;
+  const queue = document ? [document] : [];
+  while (queue.length && visited < MAX_TOKEN_NODES) {
+    const node = queue.shift();
+    visited++;
+    if (node.visible === false) continue;
+
+    for (const [kind, paints] of [['fill', node.fills], ['stroke', node.strokes]]) {
+      if (!Array.isArray(paints)) continue;
+      for (const paint of paints) {
+        const hex = paintToHex(paint);
+        if (hex) countToken(colors, hex, { hex, style: styleName(node.styles?.[kind === 'fill' ? 'fill' : 'stroke']) });
+      }
+    }
+
+    if (node.type === 'TEXT' && node.style) {
+      const { fontFamily, fontWeight, fontSize, lineHeightPx } = node.style;
+      const lineHeight = lineHeightPx ? Math.round(lineHeightPx) : undefined;
+      countToken(typography, `${fontFamily}|${fontWeight}|${fontSize}|${lineHeight}`, {
+        fontFamily, fontWeight, fontSize, lineHeight, style: styleName(node.styles?.text)
+      });
+    }
+
+    if (node.layoutMode && node.layoutMode !== 'NONE') {
+      const padding = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(p => p || 0);
+      const gap = node.itemSpacing || 0;
+      [gap, ...padding].filter(v => v > 0).forEach(v => spacing.add(v));
+      layouts.push({ name: node.name, direction: node.layoutMode.toLowerCase(), gap, padding });
+    }
+
+    if (node.cornerRadius) radii.add(node.cornerRadius);
+    (node.rectangleCornerRadii || []).filter(Boolean).forEach(r => radii.add(r));
+
+    // Instances carry their variant values, component sets list every variant as "Prop=Value, Prop=Value"
+    if (node.type === 'INSTANCE' && node.componentProperties) {
+      const props = Object.fromEntries(Object.entries(node.componentProperties)
+        .filter(([, p]) => p.type === 'VARIANT')
+        .map(([name, p]) => [name.split('#')[0], p.value]));
+      if (Object.keys(props).length) addVariant(node.name.split('/')[0].trim(), props);
+    }
+    if (node.type === 'COMPONENT_SET') {
+      for (const child of node.children || []) {
+        const props = Object.fromEntries(child.name.split(',').map(pair => pair.split('=').map(x => x.trim())).filter(pair => pair.length === 2));
+        if (Object.keys(props).length) addVariant(node.name, props);
+      }
+    }
+
+    if (node.children) queue.push(...node.children);
+  }
+
+  const numeric = set => [...set].sort((a, b) => a - b);
+  return {
+    colors: byUse(colors),
+    typography: byUse(typography),
+    spacing: numeric(spacing),
+    layouts,
+    radii: numeric(radii),
+    variants: [...variants].map(([component, properties]) => ({ component, properties }))
+  };
+}
+
+/**
+ * Compact, prompt-friendly lines for extracted tokens ('' when there are none)
+ */
+export function summarizeTokens(tokens) {
+  const top = list => list.slice(0, MAX_TOKENS_SHOWN);
+  const named = (value, style) => (style ? `${style} ${value}` : value);
+
+  const lines = [];
+  if (tokens.colors.length) {
+    lines.push(`Colors: ${top(tokens.colors).map(c => named(c.hex, c.style)).join(', ')}`);
+  }
+  if (tokens.typography.length) {
+    lines.push(`Typography: ${top(tokens.typography).map(t => named(`${t.fontFamily} ${t.fontWeight} ${t.fontSize}${t.lineHeight ? `/${t.lineHeight}` : ''}`, t.style)).join(', ')}`);
+  }
+  if (tokens.spacing.length) lines.push(`Spacing: ${tokens.spacing.join(', ')}`);
+  if (tokens.layouts.length) {
+    const padding = p => (p.every(v => v === p[0]) ? `${p[0]}` : p.join('/'));
+    lines.push(`Auto-layout: ${top(tokens.layouts).map(l => `${l.name} (${l.direction}, gap ${l.gap}, padding ${padding(l.padding)})`).join('; ')}`);
+  }
+  if (tokens.radii.length) lines.push(`Radii: ${tokens.radii.join(', ')}`);
+  if (tokens.variants.length) {
+    lines.push(`Variants: ${top(tokens.variants).map(v => `${v.component} (${Object.entries(v.properties).map(([k, vals]) => `${k}=${vals.join('|')}`).join(', ')})`).join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+// === DESIGN ELEMENTS ===
+// What a screen asks the ACs to cover: controls, visible texts and alternative states
+
+// Layer names that mean a control, first match names its role
+const INTERACTIVE_ROLES = [
+  ['button', /\b(button|btn|cta)\b/i],
+  ['link', /\blink\b/i],
+  ['input', /\b(input|text ?field|text ?area|search ?(bar|box|field)?|password|email)\b/i],
+  ['checkbox', /\bcheck ?box\b/i],
+  ['radio', /\bradio\b/i],
+  ['toggle', /\b(toggle|switch)\b/i],
+  ['select', /\b(select|dropdown|drop-down|combo ?box|picker)\b/i],
+  ['tab', /\btabs?\b/i],
+  ['menu item', /\bmenu ?item\b/i],
+  ['slider', /\bslider\b/i],
+  ['chip', /\bchip\b/i]
+];
+
+// Screens and frames named after a state, and variant values that are not worth an AC
+const STATE_NAME = /\b(empty|error|loading|skeleton|success|no results|offline|disabled|expired|not found)\b/i;
+const IGNORED_STATES = /^(default|enabled|rest|normal|idle|hover(ed)?|pressed|focus(ed)?|off|false|true)$/i;
+
+function interactiveRole(node) {
+  if (!['INSTANCE', 'COMPONENT', 'FRAME'].includes(node.type)) return null;
+  const role = INTERACTIVE_ROLES.find(([, pattern]) => pattern.test(node.name));
+  if (role) return role[0];
+  return node.interactions?.length || node.reactions?.length ? 'control' : null;
+}
+
+// Visible label of a control: TEXT property of the instance, then its first text
+function controlLabel(node) {
+  const textProp = Object.values(node.componentProperties || {}).find(p => p.type === 'TEXT' && p.value);
+  if (textProp) return String(textProp.value).trim();
+
+  const queue = [...(node.children || [])];
+  while (queue.length) {
+    const child = queue.shift();
+    if (child.visible === false) continue;
+    if (child.type === 'TEXT' && child.characters?.trim()) return child.characters.trim();
+    if (child.children) queue.push(...child.children);
+  }
+  return null;
+}
+
+/**
+ * Controls, texts and states of a Figma file or node, grouped by screen (the outermost frame).
+ * Controls are not opened, so their label is not listed again as a text.
+ * @returns {Array<{screen: string, type: 'interactive'|'text'|'state', role?: string, name: string}>} In layer order, without duplicates
+ */
+export function extractDesignElements(data, nodeId) {
+  const { document } = resolveRoot(data, nodeId);
+  const elements = [];
+  const seen = new Set();
+  const add = element => {
+    const key = `${element.screen}|${element.type}|${element.name.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    elements.push(element);
+  };
+
+  let visited = 0;
+  const stack = document ? [{ node: document, screen: null }] : [];
+  while (stack.length && visited < MAX_TOKEN_NODES) {
+    const { node, screen: parentScreen } = stack.pop();
+    visited++;
+    if (node.visible === false) continue;
+
+    const isFrame = ['FRAME', 'COMPONENT', 'INSTANCE'].includes(node.type);
+    const screen = parentScreen || (isFrame ? node.name : null);
+
+    if (screen && isFrame && node !== document && STATE_NAME.test(node.name)) {
+      add({ screen, type: 'state', name: node.name });
+    }
+
+    for (const [prop, value] of Object.entries(node.componentProperties || {})) {
+      if (value.type === 'VARIANT' && /state|status/i.test(prop) && !IGNORED_STATES.test(String(value.value))) {
+        add({ screen: screen || node.name, type: 'state', name: `${node.name.split('/')[0].trim()} ${value.value}` });
+      }
+    }
+
+    const role = interactiveRole(node);
+    if (role && node !== document && parentScreen) {
+      const label = controlLabel(node);
+      add({ screen, type: 'interactive', role, name: label || node.name });
+      continue;
+    }
+
+    if (node.type === 'TEXT' && screen) {
+      const text = (node.characters || '').trim().replace(/\s+/g, ' ');
+      if (text.length > 1 && !/^[\d\s.,:%/-]+$/.test(text)) add({ screen, type: 'text', name: text });
+    }
+
+    // Reversed so children come out in layer order
+    if (node.children) [...node.children].reverse().forEach(child => stack.push({ node: child, screen }));
+  }
+
+  return elements;
+}
+
+// === COMPONENT MAPPING ===
+// Figma component (name, "Prefix/*" or "key:<component key>") → design system component:
+// {"Badge/Notification": {"component": "NotificationBadge", "import": "@ui/badge"}, "Decoration/*": null}
+
+/**
+ * Component map from FIGMA_COMPONENTS (path) or "figma.components" in .us2cursor.json (path or inline object)
+ * @returns {object|null} null when none is configured
+ * @throws {Error} When the file can't be read or is not valid JSON
+ */
+export function loadComponentMap() {
+  return getJsonSetting('figma', 'components', 'Figma component map');
+}
+
+/**
+ * Components used in a Figma file or node, variants grouped under their component set.
+ * Instances are not opened: their nested components belong to the design system component.
+ * @returns {Array<{name: string, key: string|null, count: number}>}
+ */
+export function extractComponentInstances(data, nodeId) {
+  const { document, components, componentSets } = resolveRoot(data, nodeId);
+  const found = new Map();
+
+  let visited = 0;
+  const queue = document ? [document] : [];
+  while (queue.length && visited < MAX_TOKEN_NODES) {
+    const node = queue.shift();
+    visited++;
+    if (node.visible === false) continue;
+
+    if (node.type === 'INSTANCE') {
+      const component = components[node.componentId];
+      const set = component?.componentSetId ? componentSets[component.componentSetId] : null;
+      const name = set?.name || component?.name || node.name;
+      const key = set?.key || component?.key || null;
+      const entry = found.get(name) || { name, key, count: 0 };
+      entry.count++;
+      found.set(name, entry);
+      continue;
+    }
+    if (node.children) queue.push(...node.children);
+  }
+
+  return [...found.values()].sort((a, b) => b.count - a.count);
+}
+
+function findMapping(componentMap, { name, key }) {
+  if (key && `key:${key}` in componentMap) return componentMap[`key:${key}`];
+  if (name in componentMap) return componentMap[name];
+
+  // Longest "Prefix/*" first
+  const wildcard = Object.keys(componentMap)
+    .filter(k => k.endsWith('*') && name.startsWith(k.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+  return wildcard ? componentMap[wildcard] : undefined;
+}
+
+/**
+ * Split Figma components into mapped (with the code component to use) and unmapped.
+ * A null mapping marks a component that intentionally has no code counterpart.
+ * @returns {{mapped: Array<{figma: string, component: string, import: string, props?: string, usage: string}>, unmapped: string[]}}
+ */
+export function mapComponents(instances, componentMap) {
+  const mapped = [];
+  const unmapped = [];
+
+  for (const instance of instances) {
+    const target = findMapping(componentMap, instance);
+    if (target === null) continue;
+    if (!target?.component) {
+      unmapped.push(instance.name);
+      continue;
+    }
+    const tag = `<${target.component}${target.props ? ` ${target.props}` : ''}>`;
+    mapped.push({
+      figma: instance.name,
+      component: target.component,
+      import: target.import || '',
+      ...(target.props && { props: target.props }),
+      usage: target.import ? `${tag} from ${target.import}` : tag
+    });
+  }
+
+  return { mapped, unmapped };
+}
+
+/**
+ * Prompt lines for mapped/unmapped components ('' when there are none)
+ */
+export function summarizeComponents({ mapped, unmapped }) {
+  const lines = [];
+  if (mapped.length) {
+    lines.push(`Code components: ${mapped.map(m => `${m.usage} (Figma: ${m.figma})`).join('; ')}`);
+  }
+  if (unmapped.length) {
+    lines.push(`Figma components without code counterpart: ${unmapped.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Components of several Figma inputs, without duplicates
+ * @param {Array<{mapped: object[], unmapped: string[]}|undefined>} list - components of each input
+ */
+export function mergeComponents(list) {
+  const mapped = new Map();
+  const unmapped = new Set();
+  for (const components of list) {
+    if (!components) continue;
+    components.mapped.forEach(m => mapped.set(m.figma, m));
+    components.unmapped.forEach(name => unmapped.add(name));
+  }
+  return { mapped: [...mapped.values()], unmapped: [...unmapped] };
+}
@@ -0,0 +1,283 @@
+// === FRONTEND FRAMEWORKS ===
+// us2f framework and styling profiles: prompt template and output validation
+
+export const DEFAULT_FRAMEWORK = 'generic';
+
+const HEADER = `Extract the PRIMARY frontend component spec from this user story. Output ONLY the spec, no intro text.
+ALL OUTPUT MUST BE IN ENGLISH.`;
+
+const COMMON_RULES = `- ONE component only (the main one)
+- FRONTEND ONLY (UI, interactions, display, styling)
+- IGNORE all backend (database, API calls, business logic)
+- Focus on: what user sees, clicks, interacts with
+- Max 4 items per section
+- MUST include AC section at the end`;
+
+const FOOTER = `AC: <list AC numbers this covers, e.g., 1, 2, 4>
+
+MANDATORY: Always end with "AC:" followed by the acceptance criteria numbers covered.
+NO intro text. NO code blocks. NO explanations. ONLY the spec above. ALL IN ENGLISH.`;
+
+const COMMON_SECTIONS = `UI Elements:
+- <element 1: description>
+- <element 2: description>
+- <element 3: description>
+
+Interactions:
+- <user action 1> → <result>
+- <user action 2> → <result>`;
+
+function frameworkPrompt({ framework, component, sections }) {
+  return `${HEADER}
+
+RULES:
+${COMMON_RULES}
+- ${framework}
+
+EXACT FORMAT (no deviations):
+
+Component:
+${component}
+
+${sections}
+
+${COMMON_SECTIONS}
+
+Styling:
+{{styling}}
+
+${FOOTER}`;
+}
+
+/**
+ * sections: required sections, fields: "- Field:" lines of Component,
+ * checks: every item of a section must match a pattern (the framework idiom),
+ * maxTokens: answer budget (props/state/events make the spec longer)
+ */
+const FRAMEWORKS = {
+  generic: {
+    label: 'Frontend',
+    title: 'Frontend (UI/Components)',
+    maxTokens: 350,
+    fields: ['Name'],
+    sections: [['UI Elements', 'Elements'], ['Behavior', 'Interactions']],
+    checks: [],
+    prompt: `${HEADER}
+
+RULES:
+${COMMON_RULES}
+
+EXACT FORMAT (no deviations):
+
+Component:
+- Name: <PascalCase>Component
+- Type: <modal|panel|button|list|form|card>
+- Location: <where it appears in the app>
+
+UI Elements:
+- <element 1: description>
+- <element 2: description>
+- <element 3: description>
+
+States:
+- <state 1: when/condition>
+- <state 2: when/condition>
+
+Interactions:
+- <user action 1> → <result>
+- <user action 2> → <result>
+
+Styling:
+{{styling}}
+
+${FOOTER}`
+  },
+  react: {
+    label: 'React',
+    maxTokens: 500,
+    fields: ['Name', 'Type', 'Location'],
+    sections: ['Props', 'State', 'Events', 'UI Elements', 'Interactions'],
+    checks: [
+      { section: 'State', pattern: /use(State|Reducer|Memo|Query)\b|none/i, message: 'State items should be React hooks (useState, useReducer...)' },
+      { section: 'Events', pattern: /\bon[A-Z]\w*|none/, message: 'Events should be callback props (onSomething)' }
+    ],
+    prompt: frameworkPrompt({
+      framework: 'React function component + TypeScript, hooks for state, callback props for events',
+      component: `- Name: <PascalCase> (no "Component" suffix)
+- Type: <modal|panel|button|list|form|card>
+- Location: <where it appears in the app>`,
+      sections: `Props:
+- <name>: <TypeScript type> (<required|optional>)
+
+State:
+- const [<value>, set<Value>] = useState<<type>>(<initial>)
+
+Events:
+- on<Event>: (<args>) => void`
+    })
+  },
+  angular: {
+    label: 'Angular',
+    maxTokens: 500,
+    fields: ['Name', 'Selector', 'Type', 'Location'],
+    sections: ['Inputs', 'State', 'Outputs', 'UI Elements', 'Interactions'],
+    checks: [
+      { section: 'Inputs', pattern: /\binput(\.required)?\s*<|@Input|none/, message: 'Inputs should be signal inputs (input<T>())' },
+      { section: 'State', pattern: /\b(signal|computed)\s*[<(]|none/, message: 'State items should be signals (signal<T>(), computed())' },
+      { section: 'Outputs', pattern: /\boutput\s*<|@Output|none/, message: 'Outputs should be output<T>()' }
+    ],
+    nameSuffix: 'Component',
+    prompt: frameworkPrompt({
+      framework: 'Angular standalone component, signal inputs/outputs, signals for state',
+      component: `- Name: <PascalCase>Component
+- Selector: app-<kebab-case>
+- Type: <modal|panel|button|list|form|card>
+- Location: <where it appears in the app>`,
+      sections: `Inputs:
+- <name> = input<<type>>(<default>) | input.required<<type>>()
+
+State:
+- <name> = signal<<type>>(<initial>)
+- <name> = computed(() => <expression>)
+
+Outputs:
+- <name> = output<<payload type>>()`
+    })
+  },
+  vue: {
+    label: 'Vue',
+    maxTokens: 500,
+    fields: ['Name', 'Type', 'Location'],
+    sections: ['Props', 'State', 'Emits', 'UI Elements', 'Interactions'],
+    checks: [
+      { section: 'State', pattern: /\b(ref|reactive|computed)\s*[<(]|none/, message: 'State items should be ref(), reactive() or computed()' }
+    ],
+    prompt: frameworkPrompt({
+      framework: 'Vue 3 single-file component, <script setup lang="ts">, defineProps/defineEmits, Composition API',
+      component: `- Name: <PascalCase>.vue
+- Type: <modal|panel|button|list|form|card>
+- Location: <where it appears in the app>`,
+      sections: `Props:
+- <name>: <TypeScript type> (<required|optional>)
+
+State:
+- <name> = ref<<type>>(<initial>)
+- <name> = computed(() => <expression>)
+
+Emits:
+- <event>: [<payload type>]`
+    })
+  }
+};
+
+// Styling systems: what the "Styling:" section must describe
+const STYLINGS = {
+  tailwind: {
+    label: 'Tailwind CSS',
+    hint: '- <element>: <Tailwind utility classes, e.g. "flex items-center gap-2 rounded-lg p-4">',
+    check: { pattern: /\b(flex|grid|hidden|block|rounded|border|shadow|[pm][xytrbl]?-\d|gap-|space-[xy]-|text-|bg-|[wh]-|items-|justify-)/, message: 'Styling should list Tailwind utility classes' }
+  },
+  'angular-material': {
+    label: 'Angular Material',
+    hint: '- <element>: <mat-* component or directive, color/variant>',
+    check: { pattern: /\bmat-?[A-Za-z]|Material/, message: 'Styling should name Angular Material components (mat-*)' }
+  },
+  'css-modules': {
+    label: 'CSS Modules',
+    hint: '- <element>: styles.<className> (<key CSS properties>)',
+    check: { pattern: /styles\.\w+/, message: 'Styling should reference CSS Module classes (styles.name)' }
+  },
+  scss: {
+    label: 'SCSS',
+    hint: '- <element>: .<bem__class--modifier> (<key properties or design variables>)',
+    check: { pattern: /\.[a-z][\w-]*/, message: 'Styling should name SCSS classes' }
+  },
+  'styled-components': {
+    label: 'styled-components',
+    hint: '- <Styled<Element>>: styled.<tag> (<key CSS properties>)',
+    check: { pattern: /styled[.(]/, message: 'Styling should declare styled components (styled.tag)' }
+  }
+};
+
+const DEFAULT_STYLING_HINT = '- <key style requirement from figma/design>';
+
+export const FRAMEWORK_NAMES = Object.keys(FRAMEWORKS);
+export const STYLING_NAMES = Object.keys(STYLINGS);
+
+/**
+ * Framework profile by name, with the styling system baked into the prompt
+ * @param {string} [name] - Framework profile, defaults to generic
+ * @param {string} [styling] - Styling system (tailwind, angular-material, ...)
+ */
+export function getFramework(name = DEFAULT_FRAMEWORK, styling = null) {
+  const key = name.toLowerCase();
+  const framework = FRAMEWORKS[key];
+  if (!framework) {
+    throw new Error(`Unknown framework "${name}". Supported: ${FRAMEWORK_NAMES.join(', ')}`);
+  }
+
+  const stylingKey = styling ? styling.toLowerCase() : null;
+  const stylingProfile = stylingKey ? STYLINGS[stylingKey] : null;
+  if (stylingKey && !stylingProfile) {
+    throw new Error(`Unknown styling "${styling}". Supported: ${STYLING_NAMES.join(', ')}`);
+  }
+
+  const hint = stylingProfile ? `${stylingProfile.hint}  (${stylingProfile.label})` : DEFAULT_STYLING_HINT;
+  return {
+    name: key,
+    ...framework,
+    title: framework.title || `${framework.label} (Frontend)`,
+    styling: stylingProfile ? { name: stylingKey, ...stylingProfile } : null,
+    prompt: framework.prompt.replace('{{styling}}', hint)
+  };
+}
+
+// Items of a "Header:" section, up to the next header
+function sectionItems(text, section) {
+  const match = text.match(new RegExp(`^${section}:[^\\n]*\\n((?:[ \\t]*[-*•].*\\n?)*)`, 'm'));
+  return match ? match[1].split('\n').map(l => l.replace(/^\s*[-*•]\s*/, '').trim()).filter(Boolean) : [];
+}
+
+/**
+ * Issues in a spec generated for a framework profile
+ * @returns {{isValid: boolean, issues: string[]}}
+ */
+export function validateFrameworkOutput(framework, text) {
+  const issues = [];
+
+  if (!text.includes('Component:')) issues.push('Missing "Component:" section');
+  for (const field of framework.fields) {
+    if (!text.includes(`- ${field}:`)) issues.push(`Missing "- ${field}:" in Component`);
+  }
+  if (framework.nameSuffix) {
+    const name = text.match(/- Name:\s*(\S+)/)?.[1];
+    if (name && !name.endsWith(framework.nameSuffix)) issues.push(`Component name should end with "${framework.nameSuffix}"`);
+  }
+
+  // A section may have alternative names, e.g. ['UI Elements', 'Elements']
+  for (const section of framework.sections) {
+    const names = [].concat(section);
+    if (!names.some(n => text.includes(`${n}:`))) {
+      issues.push(`Missing ${names.map(n => `"${n}:"`).join(' or ')} section`);
+    }
+  }
+
+  for (const { section, pattern, message } of framework.checks) {
+    const items = sectionItems(text, section);
+    if (items.length && !items.every(item => pattern.test(item))) issues.push(message);
+  }
+
+  if (framework.styling) {
+    const items = sectionItems(text, 'Styling');
+    if (!items.length) issues.push('Missing "Styling:" section');
+    else if (!items.some(item => framework.styling.check.pattern.test(item))) issues.push(framework.styling.check.message);
+  }
+
+  if (!text.includes('AC:')) issues.push('Missing "AC:" section');
+
+  if (text.endsWith('-') || text.endsWith(':') || text.endsWith(',')) {
+    issues.push('Output appears to be truncated');
+  }
+
+  return { isValid: issues.length === 0, issues };
+}
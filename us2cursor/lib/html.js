@@ -0,0 +1,284 @@
+// === WORK ITEM HTML ===
+// Azure DevOps rich text fields (Description, Acceptance Criteria) as markdown, and ACs as a numbered list
+
+// Elements without content or closing tag
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'wbr', 'area', 'source']);
+
+// Opening one of these closes the open elements listed ("<li>a<li>b", "<tr><td>a<tr>")
+const IMPLIED_END = {
+  li: ['li'],
+  p: ['p'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th']
+};
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title']);
+const PARAGRAPH_TAGS = new Set(['p', 'blockquote', 'section', 'article', 'header', 'footer', 'figure']);
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", hellip: '…', mdash: '—', ndash: '–', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', bull: '•', middot: '·' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out of Unicode range: keep the entity as typed instead of throwing
+      if (Number.isNaN(point) || point > 0x10FFFF) return entity;
+      return point === 160 ? ' ' : String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Tolerant tree of {tag, attrs, children} and text nodes: unknown closing tags are ignored, unclosed ones end with their parent
+function parseHtml(html) {
+  const root = { tag: 'root', attrs: '', children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</gi;
+
+  for (const [token, closing, name, attrs] of html.matchAll(TOKEN)) {
+    if (token.startsWith('<!--')) continue;
+    if (!name) {
+      top().children.push(token);
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (closing) {
+      const open = stack.map(node => node.tag).lastIndexOf(tag);
+      if (open > 0) stack.length = open;
+      continue;
+    }
+
+    while (IMPLIED_END[tag]?.includes(top().tag)) stack.pop();
+    const node = { tag, attrs, children: [] };
+    top().children.push(node);
+    if (!VOID_TAGS.has(tag) && !attrs.trim().endsWith('/')) stack.push(node);
+  }
+  return root;
+}
+
+function attribute(node, name) {
+  const match = node.attrs.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]).trim() : '';
+}
+
+// Line break around a <div>: adjacent ones make a single break, not an empty line
+const LINE = '\u0001';
+
+// Drop the single leading space text nodes leave after a line break; indentation (2+ spaces) is kept
+const tidy = text => text
+  .replace(/\u0001+/g, '\n')
+  .split('\n').map(line => line.replace(/^ (?! )/, '').trimEnd()).join('\n');
+
+const block = text => `\n\n${tidy(text).trim()}\n\n`;
+
+function renderChildren(node, context) {
+  return node.children.map(child => render(child, context)).join('');
+}
+
+function renderList(node, context) {
+  const ordered = node.tag === 'ol';
+  let number = parseInt(attribute(node, 'start'), 10) || 1;
+  let indent = '';
+  const items = [];
+
+  for (const child of node.children) {
+    if (typeof child === 'string') continue;
+    // Some editors nest a list directly in its parent list instead of inside an item
+    if (child.tag === 'ul' || child.tag === 'ol') {
+      const nested = renderList(child, context).trim();
+      if (items.length) items[items.length - 1] += `\n${indent}${nested.split('\n').join(`\n${indent}`)}`;
+      else items.push(nested);
+      continue;
+    }
+    const marker = ordered ? `${number++}.` : '-';
+    const content = tidy(render(child.tag === 'li' ? { ...child, tag: 'span' } : child, context))
+      .trim()
+      .replace(/\n{2,}/g, '\n');
+    indent = ' '.repeat(marker.length + 1);
+    items.push(`${marker} ${content.split('\n').join(`\n${indent}`)}`);
+  }
+  return `\n\n${items.join('\n')}\n\n`;
+}
+
+function renderTable(node, context) {
+  const rows = [];
+  const collect = parent => {
+    for (const child of parent.children) {
+      if (typeof child === 'string') continue;
+      if (child.tag === 'tr') rows.push(child);
+      else if (child.tag !== 'table') collect(child);
+    }
+  };
+  collect(node);
+
+  const cell = td => tidy(renderChildren(td, context)).trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+  const cells = rows
+    .map(row => row.children.filter(child => typeof child !== 'string' && (child.tag === 'td' || child.tag === 'th')).map(cell))
+    .filter(row => row.some(Boolean));
+  if (!cells.length) return '';
+
+  const width = Math.max(...cells.map(row => row.length));
+  const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+  return `\n\n${[line(cells[0]), line(Array(width).fill('---')), ...cells.slice(1).map(line)].join('\n')}\n\n`;
+}
+
+function render(node, context) {
+  if (typeof node === 'string') {
+    const text = decodeEntities(node);
+    return context.pre ? text : text.replace(/\s+/g, ' ');
+  }
+
+  const { tag } = node;
+  if (SKIPPED_TAGS.has(tag)) return '';
+  if (tag === 'br') return '\n';
+  if (tag === 'hr') return '\n\n---\n\n';
+  if (tag === 'ul' || tag === 'ol') return renderList(node, context);
+  if (tag === 'table') return renderTable(node, context);
+  if (tag === 'pre') return `\n\n\`\`\`\n${renderChildren(node, { ...context, pre: true }).replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`;
+
+  if (tag === 'img') {
+    const alt = attribute(node, 'alt');
+    return alt ? `[Image: ${alt}]` : '';
+  }
+  if (tag === 'a') {
+    const text = renderChildren(node, context).trim();
+    const href = attribute(node, 'href');
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+    return !text || text === href ? href : `[${text}](${href})`;
+  }
+
+  const heading = tag.match(/^h([1-6])$/);
+  if (heading) return block(`${'#'.repeat(heading[1])} ${tidy(renderChildren(node, context)).replace(/\s+/g, ' ').trim()}`);
+
+  const content = renderChildren(node, context);
+  if (PARAGRAPH_TAGS.has(tag)) return block(content);
+  // Azure DevOps writes one <div> per line, and <div><br></div> for an empty line
+  if (tag === 'div') {
+    const line = tidy(content).trim();
+    return line ? `${LINE}${line}${LINE}` : '\n\n';
+  }
+  return content;
+}
+
+/**
+ * Markdown of a rich text field: paragraphs, headings, numbered and nested lists, tables,
+ * links ([text](url)) and images ([Image: alt]); entities are decoded
+ * @param {string} [html] - Raw field value
+ */
+export function htmlToMarkdown(html) {
+  if (!html) return '';
+  return tidy(render(parseHtml(String(html)), {}))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * A rich text field as one line of plain text (for matching rules against it)
+ */
+export function htmlToText(html) {
+  return htmlToMarkdown(html).replace(/\s+/g, ' ').trim();
+}
+
+// "AC3:", "AC #3 -", "3.", "3)" and bullets in front of an AC
+const AC_NUMBER = /^(?:AC\s*#?\s*(\d+)\s*[:.)-]?|(\d+)[.)](?=\s))\s*/i;
+const LIST_ITEM = /^(\d+[.)]|[-*•])\s+/;
+const TABLE_SEPARATOR = /^\|[\s|:-]+\|$/;
+
+function tableRows(lines) {
+  const rows = lines.filter(line => line.startsWith('|') && !TABLE_SEPARATOR.test(line));
+  // The first row is the header
+  return rows.slice(1).map(row => {
+    const cells = row.slice(1, -1).split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|')).filter(Boolean);
+    // "| 3 | Given ... |": the first column is the AC number
+    if (cells.length > 1 && /^(AC\s*#?\s*)?\d+$/i.test(cells[0])) return `AC${cells[0].replace(/\D/g, '')}: ${cells.slice(1).join(' - ')}`;
+    return cells.join(' - ');
+  });
+}
+
+// Gherkin steps that continue the scenario of the line above
+const GHERKIN_STEP = /^(when|then|and|but)\b/i;
+
+// Unmarked lines: one AC each, except "When/Then/And/But" steps, which stay in the "Given" above them
+function mergeGherkinSteps(lines) {
+  return lines.reduce((items, line) => {
+    const text = line.trim();
+    if (GHERKIN_STEP.test(text) && items.length) items[items.length - 1] += ` ${text}`;
+    else items.push(text);
+    return items;
+  }, []);
+}
+
+// "AC3" label, possibly after a list marker ("1. AC3: ...")
+const AC_LABEL = /^(?:(?:\d+[.)]|[-*•])\s+)?AC\s*#?\s*\d+/i;
+
+/**
+ * A top-level marker opens an AC and every line up to the next one continues it (Gherkin steps, nested items, prose).
+ * When ACs are labelled "AC3:", only labels open one and bullets under them are details.
+ * Text before the first marker is an AC of its own, except an intro line ending in ":"
+ */
+function splitItems(lines) {
+  const labelled = lines.some(line => AC_LABEL.test(line));
+  const opens = line => (labelled ? AC_LABEL.test(line) : LIST_ITEM.test(line) || AC_NUMBER.test(line));
+
+  const items = [];
+  let opened = false;
+  for (const line of lines) {
+    if (opens(line)) {
+      items.push([line]);
+      opened = true;
+    } else if (opened) {
+      items[items.length - 1].push(line.trim());
+    } else if (!line.trim().endsWith(':')) {
+      if (items.length) items[items.length - 1].push(line.trim());
+      else items.push([line.trim()]);
+    }
+  }
+  // "Login Given ... When ... Then ...", "Email; valid format; max 100"
+  return items.map(([first, ...rest]) => rest.reduce(
+    (text, line) => (LIST_ITEM.test(line) ? `${text}; ${line.replace(LIST_ITEM, '')}` : `${text} ${line}`),
+    first
+  ));
+}
+
+/**
+ * ACs of the Acceptance Criteria field, numbered the way the Product Owner sees them:
+ * one per top-level list item or "AC3:" / "3." line (the lines below stay in it), table row, or plain line
+ * (a Given/When/Then scenario written one step per line is one AC).
+ * Explicit numbers ("AC3:", "3.", <ol start>) are kept when every AC has a distinct one, otherwise ACs are numbered 1..n
+ * @param {string} [html] - Raw field value
+ * @returns {Array<{number: number, text: string}>}
+ */
+export function parseAcceptanceCriteria(html) {
+  const lines = htmlToMarkdown(html).split('\n').filter(line => line.trim() && !line.startsWith('#') && line !== '---');
+  let items;
+  if (lines.some(line => LIST_ITEM.test(line) || AC_NUMBER.test(line))) items = splitItems(lines);
+  else if (lines.some(line => line.startsWith('|'))) items = tableRows(lines);
+  else items = mergeGherkinSteps(lines);
+
+  const acs = items
+    .map(item => {
+      let text = item.replace(/^[-*•]\s+/, '');
+      let explicit = null;
+      // "1. AC3: ..." is AC 3
+      for (let match = text.match(AC_NUMBER); match; match = text.match(AC_NUMBER)) {
+        explicit = parseInt(match[1] || match[2], 10);
+        text = text.slice(match[0].length);
+      }
+      return { explicit, text: text.trim() };
+    })
+    .filter(ac => ac.text);
+
+  const numbers = acs.map(ac => ac.explicit);
+  const keepNumbers = numbers.every(Boolean) && new Set(numbers).size === numbers.length;
+  return acs.map((ac, i) => ({ number: keepNumbers ? ac.explicit : i + 1, text: ac.text }));
+}
+
+/**
+ * "AC1: ..." lines for prompts, so "AC: 1, 3" answers point at the right criteria
+ */
+export function formatAcceptanceCriteria(acs) {
+  return acs.map(ac => `AC${ac.number}: ${ac.text}`).join('\n');
+}
@@ -0,0 +1,125 @@
+// === HTTP ===
+// Shared fetch wrapper with record/replay support for Azure DevOps, LLM and Figma traffic
+//
+// US2CURSOR_RECORD=<dir>  Perform real requests and save every request/response pair to <dir>
+// US2CURSOR_REPLAY=<dir>  Serve responses from <dir> without touching the network
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+// Occurrences of each request key seen in this run, so repeated identical
+// requests (e.g. retries) map to successive cassette entries
+const seen = new Map();
+
+/**
+ * Current cassette mode
+ * @returns {{mode: 'record'|'replay'|null, dir: string|null}}
+ */
+export function getCassetteMode() {
+  if (process.env.US2CURSOR_REPLAY) return { mode: 'replay', dir: resolve(process.env.US2CURSOR_REPLAY) };
+  if (process.env.US2CURSOR_RECORD) return { mode: 'record', dir: resolve(process.env.US2CURSOR_RECORD) };
+  return { mode: null, dir: null };
+}
+
+function requestKey(method, url, body) {
+  return createHash('sha1').update(`${method} ${url}\n${body || ''}`).digest('hex').slice(0, 12);
+}
+
+function nextEntryName(key) {
+  const count = (seen.get(key) || 0) + 1;
+  seen.set(key, count);
+  return `${key}-${count}.json`;
+}
+
+// Response does not accept a body for these statuses
+const bodyFor = (status, text) => ([204, 304].includes(status) ? null : text);
+
+function parseBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+async function record(dir, url, options, method, key) {
+  const res = await fetch(url, options);
+  const text = await res.text();
+  // The body is stored decoded, so drop headers that describe the wire format
+  const headers = Object.fromEntries([...res.headers.entries()]
+    .filter(([name]) => !['content-encoding', 'content-length', 'set-cookie'].includes(name)));
+
+  // Request headers are never stored: they carry PATs and API keys
+  const entry = {
+    request: { method, url, body: parseBody(options.body) },
+    response: {
+      status: res.status,
+      statusText: res.statusText,
+      headers,
+      body: text
+    }
+  };
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, nextEntryName(key)), JSON.stringify(entry, null, 2));
+
+  return new Response(bodyFor(res.status, text), { status: res.status, statusText: res.statusText, headers });
+}
+
+function replay(dir, url, method, key) {
+  const file = join(dir, nextEntryName(key));
+  if (!existsSync(file)) {
+    throw new Error(`No recorded response for ${method} ${url} in ${dir} (${file})`);
+  }
+
+  const { response } = JSON.parse(readFileSync(file, 'utf8'));
+  return new Response(bodyFor(response.status, response.body), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * Drop-in replacement for fetch() that honours US2CURSOR_RECORD / US2CURSOR_REPLAY
+ * @param {string} url - Request URL
+ * @param {RequestInit} [options] - fetch options (body must be a string when recording/replaying)
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, options = {}) {
+  const { mode, dir } = getCassetteMode();
+  if (!mode) return fetch(url, options);
+
+  const method = (options.method || 'GET').toUpperCase();
+  const key = requestKey(method, url, options.body);
+
+  if (mode === 'replay') return replay(dir, url, method, key);
+  return record(dir, url, options, method, key);
+}
+
+// === RETRIES ===
+/**
+ * Seconds to wait before retrying, from Retry-After (seconds or HTTP date) or exponential backoff
+ * @param {Response} res - Throttled (429) or failed (5xx) response
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} maxWait - Longest wait we accept, in seconds
+ */
+export function retryDelay(res, attempt, maxWait) {
+  const header = res.headers.get('retry-after');
+  let seconds = header === null ? NaN : Number(header);
+  if (header !== null && Number.isNaN(seconds)) {
+    seconds = (Date.parse(header) - Date.now()) / 1000;
+  }
+  if (Number.isNaN(seconds) || seconds < 0) seconds = 2 ** attempt;
+  return Math.min(seconds, maxWait);
+}
+
+/**
+ * Sleep before a retry. Replayed responses are instant: don't wait for a throttle that is not happening
+ */
+export function waitBeforeRetry(seconds) {
+  if (getCassetteMode().mode === 'replay') return Promise.resolve();
+  return new Promise(r => setTimeout(r, seconds * 1000));
+}
@@ -0,0 +1,233 @@
+// === LLM PROVIDERS ===
+// Shared module for chat completions across LLM providers
+
+import { httpFetch } from './http.js';
+
+/**
+ * Provider defaults. Every setting can be overridden globally with LLM_<KEY>
+ * or per command with <COMMAND>_LLM_<KEY> (e.g. PRREVIEW_LLM_MODEL). A command that
+ * picks its own provider only reads its own overrides, never the global ones.
+ */
+const PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    adapter: 'openai',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    apiKeyEnv: 'GROQ_API_KEY',
+    requiresKey: true
+  },
+  openai: {
+    label: 'OpenAI',
+    adapter: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresKey: true
+  },
+  'azure-openai': {
+    label: 'Azure OpenAI',
+    adapter: 'azure-openai',
+    baseUrlEnv: 'AZURE_OPENAI_ENDPOINT',
+    modelEnv: 'AZURE_OPENAI_DEPLOYMENT',
+    apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+    requiresKey: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    adapter: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-sonnet-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresKey: true
+  },
+  ollama: {
+    label: 'Ollama',
+    adapter: 'ollama',
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    requiresKey: false
+  },
+  llamacpp: {
+    label: 'llama.cpp',
+    adapter: 'openai',
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local',
+    requiresKey: false
+  }
+};
+
+const AZURE_OPENAI_API_VERSION = '2024-06-01';
+
+// Env var prefixes to read settings from: the command's own, then the global one
+// unless the command selects its own provider
+function settingPrefixes(command) {
+  const own = command ? `${command.toUpperCase()}_` : '';
+  if (!own) return [''];
+  return process.env[`${own}LLM_PROVIDER`] ? [own] : [own, ''];
+}
+
+function readSetting(prefixes, key) {
+  for (const prefix of prefixes) {
+    const value = process.env[`${prefix}LLM_${key}`];
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * Resolve the LLM settings for a command
+ * @param {string} command - Command name (us2b, us2f, us2check, us2task, prfix, prreview)
+ * @returns {{provider: string, label: string, adapter: string, baseUrl: string, model: string, apiKey: string, requiresKey: boolean, apiVersion?: string}}
+ */
+export function getLLMConfig(command) {
+  const prefixes = settingPrefixes(command);
+  const provider = (readSetting(prefixes, 'PROVIDER') || 'groq').toLowerCase();
+  const defaults = PROVIDERS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${provider}". Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const baseUrl = readSetting(prefixes, 'BASE_URL') || defaults.baseUrl || process.env[defaults.baseUrlEnv] || '';
+  const model = readSetting(prefixes, 'MODEL') || defaults.model || process.env[defaults.modelEnv] || '';
+  const apiKey = readSetting(prefixes, 'API_KEY') || process.env[defaults.apiKeyEnv] || '';
+
+  return {
+    provider,
+    label: defaults.label,
+    adapter: defaults.adapter,
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    model,
+    apiKey,
+    // A custom OpenAI-compatible endpoint (e.g. a local server) may not need a key
+    requiresKey: defaults.requiresKey && !(defaults.adapter === 'openai' && readSetting(prefixes, 'BASE_URL')),
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || AZURE_OPENAI_API_VERSION
+  };
+}
+
+/**
+ * Check the LLM settings for a command
+ * @returns {string|null} Error message, or null when the configuration is usable
+ */
+export function checkLLMConfig(command) {
+  let cfg;
+  try {
+    cfg = getLLMConfig(command);
+  } catch (err) {
+    return err.message;
+  }
+
+  // Variables that would fill a missing setting: the provider's own, then the command's override
+  // when it picks its own provider, the global one otherwise
+  const defaults = PROVIDERS[cfg.provider];
+  const prefixes = settingPrefixes(command);
+  const prefix = prefixes.length === 1 ? prefixes[0] : '';
+  const hint = (providerEnv, key) => [providerEnv, `${prefix}LLM_${key}`].filter(Boolean).join(' or ');
+
+  if (cfg.requiresKey && !cfg.apiKey) return `Missing API key for ${cfg.label} (set ${hint(defaults.apiKeyEnv, 'API_KEY')})`;
+  if (!cfg.baseUrl) return `Missing endpoint for ${cfg.label} (set ${hint(defaults.baseUrlEnv, 'BASE_URL')})`;
+  if (!cfg.model) return `Missing model for ${cfg.label} (set ${hint(defaults.modelEnv, 'MODEL')})`;
+  return null;
+}
+
+/**
+ * Short human-readable description, e.g. "Groq (llama-3.3-70b-versatile)"
+ */
+export function describeLLM(command) {
+  const cfg = getLLMConfig(command);
+  return `${cfg.label} (${cfg.model})`;
+}
+
+// === ADAPTERS ===
+function buildOpenAIRequest(cfg, messages, { maxTokens, temperature, json }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.apiKey) headers['Authorization'] = `Bearer ${cfg.apiKey}`;
+
+  const body = { model: cfg.model, messages, max_tokens: maxTokens, temperature };
+  if (json) body.response_format = { type: 'json_object' };
+
+  return { url: `${cfg.baseUrl}/chat/completions`, headers, body };
+}
+
+function buildAzureOpenAIRequest(cfg, messages, { maxTokens, temperature, json }) {
+  const body = { messages, max_tokens: maxTokens, temperature };
+  if (json) body.response_format = { type: 'json_object' };
+
+  return {
+    url: `${cfg.baseUrl}/openai/deployments/${encodeURIComponent(cfg.model)}/chat/completions?api-version=${cfg.apiVersion}`,
+    headers: { 'api-key': cfg.apiKey, 'Content-Type': 'application/json' },
+    body
+  };
+}
+
+// No JSON mode: the prompt itself asks for JSON
+function buildAnthropicRequest(cfg, messages, { maxTokens, temperature }) {
+  // Anthropic takes the system prompt as a top-level field
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const body = {
+    model: cfg.model,
+    messages: messages.filter(m => m.role !== 'system'),
+    max_tokens: maxTokens,
+    temperature
+  };
+  if (system) body.system = system;
+
+  return {
+    url: `${cfg.baseUrl}/messages`,
+    headers: {
+      'x-api-key': cfg.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    },
+    body
+  };
+}
+
+function buildOllamaRequest(cfg, messages, { maxTokens, temperature, json }) {
+  const body = {
+    model: cfg.model,
+    messages,
+    stream: false,
+    options: { temperature, num_predict: maxTokens }
+  };
+  if (json) body.format = 'json';
+
+  return { url: `${cfg.baseUrl}/api/chat`, headers: { 'Content-Type': 'application/json' }, body };
+}
+
+const ADAPTERS = {
+  openai: { build: buildOpenAIRequest, read: data => data.choices[0].message.content },
+  'azure-openai': { build: buildAzureOpenAIRequest, read: data => data.choices[0].message.content },
+  anthropic: {
+    build: buildAnthropicRequest,
+    read: data => data.content.filter(c => c.type === 'text').map(c => c.text).join('')
+  },
+  ollama: { build: buildOllamaRequest, read: data => data.message.content }
+};
+
+/**
+ * Send a chat completion using the provider configured for a command
+ * @param {string} command - Command name used to resolve per-command settings
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {{maxTokens?: number, temperature?: number, json?: boolean}} [options] - json asks the provider for a JSON object response where supported
+ * @returns {Promise<string>} Assistant message content
+ */
+export async function chat(command, messages, { maxTokens = 1000, temperature = 0.1, json = false } = {}) {
+  const cfg = getLLMConfig(command);
+  const adapter = ADAPTERS[cfg.adapter];
+  const request = adapter.build(cfg, messages, { maxTokens, temperature, json });
+
+  const response = await httpFetch(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${cfg.label} API Error ${response.status}: ${errorText}`);
+  }
+
+  const data = await response.json();
+  return adapter.read(data);
+}
@@ -0,0 +1,31 @@
+// === OUTPUT ===
+// Human-readable output of the commands. With --json, stdout carries a single
+// JSON document: banners and progress go to stderr instead, like errors.
+
+let jsonOutput = false;
+
+/**
+ * Switch to JSON output: log() writes to stderr from now on
+ */
+export function enableJsonOutput() {
+  jsonOutput = true;
+}
+
+export function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * Banners, progress and results meant for a person: stdout, or stderr in --json mode
+ */
+export function log(...args) {
+  if (jsonOutput) console.error(...args);
+  else console.log(...args);
+}
+
+/**
+ * Write the result document of a command to stdout
+ */
+export function writeJson(data) {
+  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+}
@@ -0,0 +1,510 @@
+// === REVIEW ===
+// prreview helpers: multi-pass chunking and merging, PR thread markers and matching
+
+const SEVERITIES = ['CRITICAL', 'IMPORTANT', 'MINOR'];
+const SEVERITY_LABELS = { CRITICAL: '🔴 CRITICAL', IMPORTANT: '🟡 IMPORTANT', MINOR: '🔵 MINOR' };
+const CATEGORIES = ['Bugs', 'Security', 'Performance', 'CleanCode', 'BestPractices'];
+const DEFAULT_CATEGORY = { CRITICAL: 'Bugs', IMPORTANT: 'CleanCode', MINOR: 'BestPractices' };
+const VERDICT_ORDER = ['APPROVE', 'APPROVE WITH COMMENTS', 'REQUEST CHANGES'];
+const AC_STATUSES = ['missing', 'partial', 'covered'];
+const AC_STATUS_ICONS = { covered: '✅', partial: '⚠️', missing: '❌' };
+
+/**
+ * Rough token estimate (~4 characters per token), good enough for budgeting
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Split a file diff into pieces that fit the budget, cutting at hunk boundaries
+// first and at line boundaries only for a single oversized hunk
+function splitDiff(diff, budget) {
+  const hunks = diff.split(/\n(?=@@ )/);
+  const pieces = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) pieces.push(current);
+    current = '';
+  };
+
+  for (const hunk of hunks) {
+    if (estimateTokens(hunk) > budget) {
+      flush();
+      let part = '';
+      for (const line of hunk.split('\n')) {
+        if (part && estimateTokens(`${part}\n${line}`) > budget) {
+          pieces.push(part);
+          part = '';
+        }
+        part = part ? `${part}\n${line}` : line;
+      }
+      if (part) pieces.push(part);
+    } else if (current && estimateTokens(`${current}\n${hunk}`) > budget) {
+      flush();
+      current = hunk;
+    } else {
+      current = current ? `${current}\n${hunk}` : hunk;
+    }
+  }
+  flush();
+  return pieces;
+}
+
+function renderFileDiff(path, diff) {
+  return `\n### ${path}\n\`\`\`\n${diff}\n\`\`\`\n`;
+}
+
+/**
+ * Pack file diffs into token-budgeted chunks, one LLM call each
+ * @param {Array<{path: string, diff: string}>} files - Per-file unified diffs
+ * @param {{budget: number, maxChunks: number}} options - Tokens per chunk and max LLM calls
+ * @returns {{chunks: Array<{content: string, files: string[]}>, skipped: Array<{path: string, reason: string}>}}
+ */
+export function buildChunks(files, { budget, maxChunks }) {
+  const chunks = [];
+  const skipped = [];
+  let current = { content: '', files: [] };
+
+  const push = () => {
+    if (current.content) chunks.push(current);
+    current = { content: '', files: [] };
+  };
+
+  for (const { path, diff } of files) {
+    const pieces = estimateTokens(renderFileDiff(path, diff)) > budget ? splitDiff(diff, budget) : [diff];
+    let included = 0;
+
+    for (const [i, piece] of pieces.entries()) {
+      const label = pieces.length > 1 ? `${path} (part ${i + 1}/${pieces.length})` : path;
+      const block = renderFileDiff(label, piece);
+
+      if (current.content && estimateTokens(current.content + block) > budget) push();
+      if (chunks.length >= maxChunks) break;
+
+      current.content += block;
+      if (!current.files.includes(path)) current.files.push(path);
+      included++;
+    }
+
+    if (included < pieces.length) {
+      // Budget exhausted: list the file as skipped, not as reviewed
+      skipped.push({
+        path,
+        reason: included ? `partially reviewed: ${included}/${pieces.length} parts, token budget exhausted` : 'token budget exhausted'
+      });
+      for (const chunk of [...chunks, current]) chunk.files = chunk.files.filter(f => f !== path);
+    }
+  }
+  push();
+
+  return { chunks, skipped };
+}
+
+// === JSON CONTRACT ===
+/**
+ * JSON schema description sent to the LLM
+ */
+export function reviewSchema({ withAC }) {
+  const ac = withAC
+    ? `,
+  "acCoverage": [
+    { "ac": 1, "description": "<2-5 word summary>", "status": "covered" | "partial" | "missing", "where": "<Class.Method or 'Not implemented'>" }
+  ]`
+    : '';
+
+  return `{
+  "good": ["<positive point>"],
+  "issues": [
+    {
+      "severity": "CRITICAL" | "IMPORTANT" | "MINOR",
+      "category": "${CATEGORIES.join('" | "')}",
+      "file": "<file name only, e.g. Query.cs>",
+      "line": <number of a + line>,
+      "issue": "<brief>",
+      "fix": "<brief>"
+    }
+  ],
+  "missingTests": ["<Class.Method>"]${ac},
+  "verdict": "${VERDICT_ORDER.join('" | "')}"
+}`;
+}
+
+/**
+ * Extract a JSON object from an LLM response, repairing common formatting slips
+ * (code fences, prose around the object, trailing commas, smart quotes)
+ * @throws {SyntaxError} When no parseable object can be recovered
+ */
+export function extractJson(text) {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new SyntaxError('No JSON object found');
+
+  const candidate = trimmed.slice(start, end + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return JSON.parse(candidate
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+// Table cells can't contain pipes or line breaks
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '/').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function normalizeSeverity(value) {
+  const upper = String(value || '').toUpperCase();
+  return SEVERITIES.find(sv => upper.includes(sv)) || null;
+}
+
+function normalizeStatus(value) {
+  const v = String(value || '').toLowerCase().trim();
+  if (v.includes('❌') || /missing|\bnot\b|^no$|none/.test(v)) return 'missing';
+  if (v.includes('⚠') || v.includes('partial')) return 'partial';
+  if (v.includes('✅') || /covered|implemented|done|^yes$/.test(v)) return 'covered';
+  return null;
+}
+
+function normalizeVerdict(value) {
+  const upper = String(value || '').toUpperCase().replace(/[_-]+/g, ' ');
+  return [...VERDICT_ORDER].reverse().find(v => upper.includes(v)) || null;
+}
+
+/**
+ * Validate and normalize a parsed review object
+ * @param {object} data - Parsed JSON from the LLM
+ * @param {{withAC: boolean}} options - Whether AC coverage is expected
+ * @returns {{review: object|null, errors: string[]}} Valid entries are kept even when errors are reported
+ */
+export function validateReview(data, { withAC }) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { review: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const errors = [];
+  const list = key => {
+    if (data[key] === undefined || data[key] === null) return [];
+    if (!Array.isArray(data[key])) {
+      errors.push(`"${key}" must be an array`);
+      return [];
+    }
+    return data[key];
+  };
+  const strings = key => list(key).map(cell).filter(Boolean);
+
+  const issues = [];
+  list('issues').forEach((raw, i) => {
+    const severity = normalizeSeverity(raw?.severity);
+    const file = cell(raw?.file).split(/[\\/]/).pop();
+    const line = parseInt(raw?.line, 10);
+    const problems = [];
+    if (!severity) problems.push(`issues[${i}].severity must be one of ${SEVERITIES.join(', ')}`);
+    if (!file) problems.push(`issues[${i}].file is required`);
+    if (!Number.isInteger(line) || line < 1) problems.push(`issues[${i}].line must be a positive integer`);
+    if (!cell(raw?.issue)) problems.push(`issues[${i}].issue is required`);
+
+    if (problems.length) {
+      errors.push(...problems);
+      return;
+    }
+    const category = CATEGORIES.find(c => c.toLowerCase() === cell(raw.category).toLowerCase())
+      || cell(raw.category) || DEFAULT_CATEGORY[severity];
+    issues.push({ severity, category, file, line, issue: cell(raw.issue), fix: cell(raw.fix) });
+  });
+
+  const acCoverage = [];
+  if (withAC) {
+    if (!Array.isArray(data.acCoverage)) errors.push('"acCoverage" must be an array');
+    list('acCoverage').forEach((raw, i) => {
+      const ac = parseInt(String(raw?.ac ?? '').replace(/\D/g, ''), 10);
+      const status = normalizeStatus(raw?.status);
+      if (!Number.isInteger(ac)) errors.push(`acCoverage[${i}].ac must be the AC number`);
+      if (!status) errors.push(`acCoverage[${i}].status must be covered, partial or missing`);
+      if (!Number.isInteger(ac) || !status) return;
+      acCoverage.push({ ac, description: cell(raw.description), status, where: cell(raw.where) || '-' });
+    });
+  }
+
+  const verdict = normalizeVerdict(data.verdict);
+  if (!verdict) errors.push(`"verdict" must be one of ${VERDICT_ORDER.join(', ')}`);
+
+  return {
+    review: {
+      good: strings('good'),
+      issues,
+      missingTests: strings('missingTests'),
+      acCoverage,
+      verdict: verdict || 'APPROVE'
+    },
+    errors
+  };
+}
+
+// === MERGE / RENDER ===
+function worst(order, values) {
+  return values.reduce((acc, v) => (order.indexOf(v) > order.indexOf(acc) ? v : acc), order[0]);
+}
+
+/**
+ * Merge per-chunk reviews into one (also normalizes a single review)
+ */
+export function mergeReviews(reviews) {
+  const unique = items => [...new Set(items)];
+
+  const issues = [];
+  const seen = new Set();
+  for (const issue of reviews.flatMap(r => r.issues)) {
+    const key = `${issue.file}|${issue.line}|${issue.issue.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    issues.push(issue);
+  }
+  issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  // An AC is covered if any chunk found it implemented
+  const acMap = new Map();
+  for (const row of reviews.flatMap(r => r.acCoverage)) {
+    const existing = acMap.get(row.ac);
+    if (!existing || AC_STATUSES.indexOf(row.status) > AC_STATUSES.indexOf(existing.status)) {
+      acMap.set(row.ac, { ...row, description: row.description || existing?.description || '' });
+    }
+  }
+
+  // The verdict can't be milder than what the issues imply
+  const fromIssues = issues.some(i => i.severity === 'CRITICAL') ? 'REQUEST CHANGES'
+    : issues.some(i => i.severity === 'IMPORTANT') ? 'APPROVE WITH COMMENTS'
+    : 'APPROVE';
+
+  return {
+    good: unique(reviews.flatMap(r => r.good)).slice(0, 5),
+    issues,
+    missingTests: unique(reviews.flatMap(r => r.missingTests)),
+    acCoverage: [...acMap.values()].sort((a, b) => a.ac - b.ac),
+    verdict: worst(VERDICT_ORDER, [...reviews.map(r => r.verdict), fromIssues])
+  };
+}
+
+export function severityLabel(severity) {
+  return SEVERITY_LABELS[severity] || severity;
+}
+
+/**
+ * Render the general PR comment from structured review data
+ */
+export function renderReview(review, { withAC }) {
+  const out = ['## Code Review', '', '### ✅ Good'];
+  out.push(...(review.good.length ? review.good.map(g => `- ${g}`) : ['- (none)']));
+
+  out.push('', '### 📋 Issues', '');
+  if (review.issues.length) {
+    out.push('| Severity | Category | File | Line | Issue | Fix |');
+    out.push('|----------|----------|------|------|-------|-----|');
+    for (const i of review.issues) {
+      out.push(`| ${severityLabel(i.severity)} | ${i.category} | ${i.file} | ${i.line} | ${i.issue} | ${i.fix} |`);
+    }
+  } else {
+    out.push('No issues found.');
+  }
+
+  out.push('', '### 🧪 Missing Tests');
+  out.push(...(review.missingTests.length ? review.missingTests.map(t => `- ${t}`) : ['- (none)']));
+
+  if (withAC) {
+    out.push('', '### 📋 AC Coverage', '');
+    out.push('| AC | Description | Status | Where |');
+    out.push('|----|-------------|--------|-------|');
+    for (const row of review.acCoverage) {
+      out.push(`| ${row.ac} | ${row.description} | ${AC_STATUS_ICONS[row.status]} | ${row.where} |`);
+    }
+  }
+
+  out.push('', '### 📝 Verdict', `**${review.verdict}**`, '', '---', '*prreview*');
+  if (!withAC) out.push('⚠️ No US linked');
+  return out.join('\n');
+}
+
+/**
+ * Markdown section listing which files were (not) reviewed
+ */
+export function renderFileCoverage({ reviewed, skipped }) {
+  const out = ['### 📂 Files Reviewed'];
+  out.push(...reviewed.map(f => `- ✅ ${f}`));
+  out.push(...skipped.map(s => `- ⏭️ ${s.path} (${s.reason})`));
+  return out.join('\n');
+}
+
+/**
+ * Insert a section before the review footer ("---" + "*prreview*"), or append it
+ */
+export function insertBeforeFooter(text, section) {
+  const footer = text.search(/\n-{3,}\s*\n\*prreview/);
+  if (footer === -1) return `${text}\n\n${section}`;
+  return `${text.slice(0, footer).trimEnd()}\n\n${section}\n${text.slice(footer)}`;
+}
+
+// === REVIEWER VOTE ===
+// Azure DevOps reviewer vote values for each verdict
+const VERDICT_VOTES = {
+  'APPROVE': 10,
+  'APPROVE WITH COMMENTS': 5,
+  'REQUEST CHANGES': -5
+};
+
+const VOTE_LABELS = {
+  10: 'Approved',
+  5: 'Approved with suggestions',
+  0: 'No vote',
+  [-5]: 'Waiting for author',
+  [-10]: 'Rejected'
+};
+
+/**
+ * Reviewer vote matching a review verdict. Never approves when CRITICAL issues were found.
+ * @returns {{vote: number, label: string, guarded: boolean}} guarded is true when an approving verdict was overridden
+ */
+export function voteForReview(review) {
+  let vote = VERDICT_VOTES[review.verdict] ?? 0;
+  const hasCritical = review.issues.some(i => i.severity === 'CRITICAL');
+  const guarded = hasCritical && vote > 0;
+  if (guarded) vote = VERDICT_VOTES['REQUEST CHANGES'];
+
+  return { vote, label: VOTE_LABELS[vote], guarded };
+}
+
+// === PR THREADS ===
+// Every comment prreview posts ends with "*prreview · iteration N*" so later
+// runs know which iteration was already reviewed and which threads are its own
+const MARKER_REGEX = /\*prreview(?: · iteration (\d+))?\*/;
+
+export function iterationMarker(iterationId) {
+  return `*prreview · iteration ${iterationId}*`;
+}
+
+/**
+ * Stamp the review footer with the reviewed iteration
+ */
+export function withIterationMarker(text, iterationId) {
+  if (MARKER_REGEX.test(text)) return text.replace(MARKER_REGEX, iterationMarker(iterationId));
+  return `${text}\n\n---\n${iterationMarker(iterationId)}`;
+}
+
+/**
+ * Iteration a prreview comment was posted for: the marker number, the line
+ * comment context, or the last iteration published before the comment
+ */
+function commentIteration(thread, comment, iterations) {
+  const match = comment.content?.match(MARKER_REGEX);
+  if (!match) return null;
+  if (match[1]) return parseInt(match[1], 10);
+
+  const fromContext = thread.pullRequestThreadContext?.iterationContext?.secondComparingIteration;
+  if (fromContext) return fromContext;
+
+  if (comment.publishedDate) {
+    const published = new Date(comment.publishedDate);
+    const before = iterations.filter(it => new Date(it.createdDate) <= published);
+    if (before.length) return before[before.length - 1].id;
+  }
+  return null;
+}
+
+/**
+ * Latest iteration already reviewed by prreview, from its own thread markers
+ */
+export function findLastReviewedIteration(threads, iterations) {
+  let last = null;
+
+  for (const thread of threads) {
+    if (thread.isDeleted) continue;
+
+    for (const comment of thread.comments || []) {
+      const iterationId = commentIteration(thread, comment, iterations);
+      if (iterationId && (!last || iterationId > last)) last = iterationId;
+    }
+  }
+
+  return last;
+}
+
+/**
+ * Iteration the prreview thread was opened for (null for human threads)
+ */
+export function threadIteration(thread, iterations) {
+  const first = thread.comments?.[0];
+  return first ? commentIteration(thread, first, iterations) : null;
+}
+
+export function isPrreviewThread(thread) {
+  return MARKER_REGEX.test(thread.comments?.[0]?.content || '');
+}
+
+export function isActiveThread(thread) {
+  return thread.status === 'active' || thread.status === 1;
+}
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'not', 'use', 'should', 'could',
+  'issue', 'fix', 'prreview', 'iteration', 'critical', 'important', 'minor'
+]);
+
+function words(text) {
+  return new Set((text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_.]+/g, ' ')
+    .split(' ')
+    .filter(w => w.length > 2 && !STOP_WORDS.has(w)));
+}
+
+// Fewer meaningful words than this ("typo", "nit") never make a duplicate
+const MIN_SIMILARITY_WORDS = 3;
+
+/**
+ * Word overlap between two comments (0..1), relative to the longer one so a
+ * short text can't match everything that mentions one of its words
+ */
+export function textSimilarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size < MIN_SIMILARITY_WORDS || wb.size < MIN_SIMILARITY_WORDS) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / Math.max(wa.size, wb.size);
+}
+
+// Issue and fix of a prreview line comment, without the severity header and marker
+function threadIssueText(thread) {
+  const content = thread.comments?.[0]?.content || '';
+  const body = content.match(/\*\*Issue:\*\*([\s\S]*?)(?:\n-{3,}\s*\n|$)/);
+  return (body ? body[1] : content).replace(/\*\*Fix:\*\*/, ' ');
+}
+
+/**
+ * Find an existing prreview line thread that raises the same issue (human threads are never matched)
+ * @param {Array} threads - PR threads, positions tracked to the reviewed iteration
+ * @param {{path: string, line: number, text: string}} issue - Issue about to be posted
+ * @param {{lineTolerance?: number, minSimilarity?: number}} [options]
+ */
+export function findDuplicateThread(threads, { path, line, text }, { lineTolerance = 3, minSimilarity = 0.5 } = {}) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const thread of threads) {
+    if (thread.isDeleted || !thread.threadContext?.filePath || !isPrreviewThread(thread)) continue;
+    if (thread.threadContext.filePath.toLowerCase() !== path.toLowerCase()) continue;
+
+    const threadLine = thread.threadContext.rightFileStart?.line ?? thread.threadContext.leftFileStart?.line;
+    if (threadLine == null || Math.abs(threadLine - line) > lineTolerance) continue;
+
+    const score = textSimilarity(text, threadIssueText(thread));
+    if (score >= minSimilarity && score > bestScore) {
+      best = thread;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,346 @@
+// === C# SCAFFOLDING ===
+// us2b --scaffold: records, HotChocolate operation classes, service interfaces and
+// xUnit test skeletons, following the conventions of the existing .NET project
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, join, relative, resolve } from 'path';
+
+// Existing folders that hold each kind of file, first match wins (case-insensitive)
+const FOLDERS = {
+  records: ['Models', 'Inputs', 'Records', 'Dtos', 'Contracts'],
+  query: ['Queries', 'GraphQL'],
+  mutation: ['Mutations', 'GraphQL'],
+  subscription: ['Subscriptions', 'GraphQL'],
+  services: ['Services', 'Interfaces', 'Abstractions']
+};
+
+const OPERATION_ATTRIBUTES = {
+  query: 'QueryType',
+  mutation: 'MutationType',
+  subscription: 'SubscriptionType'
+};
+
+// Class name suffixes, singular and plural
+const OPERATION_SUFFIXES = {
+  query: ['Query', 'Queries'],
+  mutation: ['Mutation', 'Mutations'],
+  subscription: ['Subscription', 'Subscriptions']
+};
+
+const SKIPPED_DIRS = ['bin', 'obj', 'node_modules', '.git'];
+
+// === PROJECT CONVENTIONS ===
+function findUp(start, predicate) {
+  let dir = start;
+  while (true) {
+    const found = predicate(dir);
+    if (found) return found;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function listDir(dir) {
+  try {
+    return readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+function csprojIn(dir) {
+  const file = listDir(dir).find(e => e.isFile() && e.name.endsWith('.csproj'));
+  return file ? join(dir, file.name) : null;
+}
+
+// .cs files of a project, without bin/obj
+function csFiles(dir, depth = 6) {
+  if (depth < 0) return [];
+  return listDir(dir).flatMap(e => {
+    if (e.isDirectory()) return SKIPPED_DIRS.includes(e.name) ? [] : csFiles(join(dir, e.name), depth - 1);
+    return e.name.endsWith('.cs') ? [join(dir, e.name)] : [];
+  });
+}
+
+function readProject(csproj) {
+  const xml = readFileSync(csproj, 'utf8');
+  const name = basename(csproj, '.csproj');
+  return {
+    name,
+    csproj,
+    dir: dirname(csproj),
+    rootNamespace: xml.match(/<RootNamespace>\s*([\w.]+)\s*<\/RootNamespace>/)?.[1] || name,
+    implicitUsings: /<ImplicitUsings>\s*enable\s*<\/ImplicitUsings>/i.test(xml),
+    isTestProject: /xunit/i.test(xml)
+  };
+}
+
+// xUnit project next to the project: src/App + tests/App.Tests, or App + App.Tests
+function findTestProject(project) {
+  const solutionDir = dirname(project.dir);
+  const candidates = [solutionDir, join(solutionDir, 'tests'), join(solutionDir, 'test'), join(dirname(solutionDir), 'tests'), join(dirname(solutionDir), 'test')];
+
+  const projects = candidates.flatMap(dir => listDir(dir)
+    .filter(e => e.isDirectory())
+    .map(e => csprojIn(join(dir, e.name)))
+    .filter(Boolean))
+    .map(readProject)
+    .filter(p => p.isTestProject);
+
+  return projects.find(p => p.name === `${project.name}.Tests`)
+    || projects.find(p => p.name.startsWith(project.name))
+    || projects[0]
+    || null;
+}
+
+function namespaceFor(project, dir) {
+  const rel = relative(project.dir, dir);
+  const parts = rel ? rel.split(/[\\/]/).map(p => p.replace(/[^\w]/g, '')) : [];
+  return [project.rootNamespace, ...parts].join('.');
+}
+
+function pickFolder(dir, kind) {
+  const existing = listDir(dir).filter(e => e.isDirectory()).map(e => e.name);
+  for (const candidate of FOLDERS[kind]) {
+    const match = existing.find(name => name.toLowerCase() === candidate.toLowerCase());
+    if (match) return join(dir, match);
+  }
+  return dir;
+}
+
+/**
+ * Conventions of the project that contains a directory
+ * @param {string} dir - Target directory (may not exist yet)
+ */
+export function readConventions(dir) {
+  const target = resolve(dir);
+  const csproj = findUp(target, d => csprojIn(d));
+  const warnings = [];
+
+  const project = csproj
+    ? readProject(csproj)
+    : { name: basename(target), dir: target, rootNamespace: basename(target).replace(/[^\w.]/g, ''), implicitUsings: true, csproj: null };
+  if (!csproj) warnings.push(`No .csproj found above ${target}, namespace taken from the folder name`);
+
+  const sources = csFiles(project.dir).map(f => readFileSync(f, 'utf8'));
+  const fileScoped = sources.length ? sources.some(s => /^namespace [\w.]+;/m.test(s)) : true;
+
+  // "OrderMutations" vs "OrderMutation" in existing [MutationType] classes
+  const suffixes = {};
+  for (const [kind, attribute] of Object.entries(OPERATION_ATTRIBUTES)) {
+    const [singular, plural] = OPERATION_SUFFIXES[kind];
+    const classes = sources.flatMap(s => [...s.matchAll(new RegExp(`\\[${attribute}\\][^{]*?class (\\w+)`, 'g'))].map(m => m[1]));
+    suffixes[kind] = classes.some(c => c.endsWith(plural)) ? plural : singular;
+  }
+
+  const testProject = csproj ? findTestProject(project) : null;
+  if (!testProject) warnings.push('No xUnit test project found, tests written to a Tests folder next to the code');
+
+  return { target, project, fileScoped, suffixes, testProject, warnings };
+}
+
+// === C# RENDERING ===
+// "User must own the notification" -> "UserMustOwnTheNotification"
+function pascalCase(text, maxWords = 8) {
+  return text
+    .replace(/[^A-Za-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, maxWords)
+    .map(w => w[0].toUpperCase() + w.slice(1))
+    .join('');
+}
+
+// "[OrderLine]" -> "IReadOnlyList<OrderLine>"
+function csharpType(type) {
+  return type.trim().replace(/\[(\w+)\]/g, 'IReadOnlyList<$1>');
+}
+
+/**
+ * "record Name(Guid Id, string Field)" -> {name, parameters}, a plain type -> {type}
+ */
+export function parseRecord(text) {
+  if (!text) return null;
+  const match = text.trim().match(/^record\s+(\w+)\s*\(([^)]*)\)\s*;?$/);
+  if (match) return { name: match[1], parameters: match[2].split(',').map(p => csharpType(p)).filter(Boolean) };
+  return { type: csharpType(text) };
+}
+
+function typeName(record) {
+  return record ? record.name || record.type : null;
+}
+
+/**
+ * @param {{implicitUsings: boolean}} owner - Project the file is written into (the test project for tests)
+ */
+function fileHeader(conventions, owner, namespace, usings, body) {
+  const allUsings = owner.implicitUsings
+    ? usings
+    : ['System', 'System.Collections.Generic', 'System.Threading', 'System.Threading.Tasks', ...usings];
+  const usingLines = allUsings.length ? `${allUsings.map(u => `using ${u};`).join('\n')}\n\n` : '';
+
+  if (conventions.fileScoped) return `${usingLines}namespace ${namespace};\n\n${body}\n`;
+  const indented = body.split('\n').map(l => (l ? `    ${l}` : l)).join('\n');
+  return `${usingLines}namespace ${namespace}\n{\n${indented}\n}\n`;
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function docLines(summary, items = [], indent = '') {
+  const lines = [`${indent}/// <summary>`, `${indent}/// ${escapeXml(summary)}`];
+  if (items.length) {
+    lines.push(`${indent}/// <para>`, ...items.map(i => `${indent}/// - ${escapeXml(i)}`), `${indent}/// </para>`);
+  }
+  lines.push(`${indent}/// </summary>`);
+  return lines.join('\n');
+}
+
+function renderRecord(record) {
+  return `public record ${record.name}(${record.parameters.join(', ')});`;
+}
+
+function renderEnum({ name, values }) {
+  const members = values.map(v => `    ${pascalCase(v.toLowerCase().replace(/_/g, ' '))}`).join(',\n');
+  return `public enum ${name}\n{\n${members}\n}`;
+}
+
+function renderServiceInterface(op, input, output) {
+  const returnType = output ? `Task<${typeName(output)}>` : 'Task';
+  const params = [input && `${typeName(input)} input`, 'CancellationToken cancellationToken = default'].filter(Boolean).join(', ');
+  // Without behavior lines, describe the contract: "Runs the CreateOrder mutation for a CreateOrderInput and returns Order"
+  const summary = op.behavior.join('; ')
+    || `Runs the ${op.name} ${op.kind}${input ? ` for a ${typeName(input)}` : ''}${output ? ` and returns ${typeName(output)}` : ''}`;
+  return `${docLines(`${op.name}: ${summary}`, op.rules)}
+public interface I${op.name}Service
+{
+    ${returnType} ${op.name}Async(${params});
+}`;
+}
+
+function renderOperationClass(op, className, input, output) {
+  const attribute = OPERATION_ATTRIBUTES[op.kind];
+
+  if (op.kind === 'subscription') {
+    const message = typeName(output) || 'object';
+    return `[${attribute}]
+public static class ${className}
+{
+${docLines(op.behavior.join('; ') || op.name, op.rules, '    ')}
+    [Subscribe]
+    public static ${message} ${op.name}([EventMessage] ${message} message) => message;
+}`;
+  }
+
+  const returnType = output ? `Task<${typeName(output)}>` : 'Task';
+  const params = [
+    input && `${typeName(input)} input`,
+    `[Service] I${op.name}Service service`,
+    'CancellationToken cancellationToken'
+  ].filter(Boolean);
+
+  return `[${attribute}]
+public static class ${className}
+{
+${docLines(op.behavior.join('; ') || op.name, op.rules, '    ')}
+    public static ${returnType} ${op.name}Async(
+        ${params.join(',\n        ')})
+        => service.${op.name}Async(${input ? 'input, ' : ''}cancellationToken);
+}`;
+}
+
+function renderTests(op, className, rules) {
+  const facts = (rules.length ? rules : ['Happy path']).map(rule => `    [Fact]
+    public void ${op.name}_${pascalCase(rule)}()
+    {
+        // Rule: ${rule}
+        // Arrange
+
+        // Act
+
+        // Assert
+        throw new NotImplementedException("${rule.replace(/["\\]/g, "'")}");
+    }`);
+  return `public class ${className}
+{
+${facts.join('\n\n')}
+}`;
+}
+
+// === WRITE ===
+/**
+ * Write the C# files of a backend spec. Existing files are never overwritten.
+ * @param {{operations: Array<{kind: string, name: string, input?: string|null, returns?: string, behavior: string[], rules: string[]}>, types?: string[], enums?: Array<{name: string, values: string[]}>}} spec
+ * @param {string} dir - Target directory inside the .NET project
+ * @returns {{project: string|null, namespace: string, testProject: string|null, files: Array<{path: string, created: boolean}>, warnings: string[]}}
+ */
+export function scaffoldCSharp(spec, dir) {
+  const conventions = readConventions(dir);
+  const { target, project, testProject } = conventions;
+  const warnings = [...conventions.warnings];
+  const files = [];
+
+  const recordsDir = pickFolder(target, 'records');
+  const servicesDir = pickFolder(target, 'services');
+  const recordsNamespace = namespaceFor(project, recordsDir);
+  const servicesNamespace = namespaceFor(project, servicesDir);
+
+  const write = (folder, name, usings, body) => {
+    const path = join(folder, `${name}.cs`);
+    if (existsSync(path)) {
+      files.push({ path, created: false });
+      return;
+    }
+    const owner = testProject && folder.startsWith(testProject.dir) ? testProject : project;
+    const namespace = namespaceFor(owner, folder);
+    mkdirSync(folder, { recursive: true });
+    writeFileSync(path, fileHeader(conventions, owner, namespace, [...new Set(usings)].filter(u => u !== namespace), body));
+    files.push({ path, created: true });
+  };
+
+  const testsDir = testProject
+    ? join(testProject.dir, relative(project.dir, target))
+    : join(target, 'Tests');
+
+  const records = new Map();
+  const addRecord = text => {
+    const record = parseRecord(text);
+    if (record?.name && !records.has(record.name)) records.set(record.name, record);
+    return record;
+  };
+
+  (spec.types || []).forEach(addRecord);
+
+  for (const op of spec.operations) {
+    if (!op.name) continue;
+    const input = op.input ? addRecord(op.input) : null;
+    const output = addRecord(op.returns);
+    const className = `${op.name}${conventions.suffixes[op.kind]}`;
+
+    const operationUsings = ['HotChocolate', 'HotChocolate.Types', recordsNamespace];
+    if (op.kind !== 'subscription') operationUsings.push(servicesNamespace);
+    write(pickFolder(target, op.kind), className, operationUsings, renderOperationClass(op, className, input, output));
+    if (op.kind !== 'subscription') {
+      write(servicesDir, `I${op.name}Service`, [recordsNamespace], renderServiceInterface(op, input, output));
+    }
+    write(testsDir, `${op.name}Tests`, ['Xunit'], renderTests(op, `${op.name}Tests`, op.rules));
+  }
+
+  for (const record of records.values()) {
+    write(recordsDir, record.name, [], renderRecord(record));
+  }
+  for (const en of spec.enums || []) {
+    write(recordsDir, en.name, [], renderEnum(en));
+  }
+
+  const skipped = files.filter(f => !f.created);
+  if (skipped.length) warnings.push(`${skipped.length} file(s) already exist and were left untouched`);
+
+  return {
+    project: project.csproj,
+    namespace: namespaceFor(project, target),
+    testProject: testProject?.csproj || null,
+    files,
+    warnings
+  };
+}
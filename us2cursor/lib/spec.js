@@ -0,0 +1,166 @@
+// === SPEC PARSING ===
+// Structured view of the plain-text specs produced by us2b and us2f
+
+// "UI Elements" -> "uiElements"
+function camelCase(header) {
+  return header
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Parse "Header:" lines followed by "- item" lines
+ * @param {string} text - Spec text
+ * @returns {{sections: Object<string, string[]>, ac: number[]}} Sections keyed by camelCase header
+ */
+export function parseSpecSections(text) {
+  const sections = {};
+  let ac = [];
+  let current = null;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const item = line.match(/^[-*•]\s*(.*)$/);
+    if (item && current) {
+      sections[current].push(item[1].trim());
+      continue;
+    }
+
+    const header = line.match(/^([A-Za-z][\w /&-]*):\s*(.*)$/);
+    if (!header) continue;
+
+    if (/^AC$/i.test(header[1])) {
+      ac = [...header[2].matchAll(/\d+/g)].map(m => parseInt(m[0], 10));
+      current = null;
+      continue;
+    }
+    current = camelCase(header[1]);
+    sections[current] = header[2] ? [header[2].trim()] : [];
+  }
+
+  return { sections, ac };
+}
+
+/**
+ * "- Name: Foo" items as an object ({name: 'Foo'})
+ */
+export function itemFields(items = []) {
+  const fields = {};
+  for (const item of items) {
+    const match = item.match(/^([A-Za-z][\w ]*):\s*(.*)$/);
+    if (match) fields[camelCase(match[1])] = match[2].trim();
+  }
+  return fields;
+}
+
+/**
+ * Backend spec (us2b) as {mutation: {name, input, returns}, behavior, rules, ac}.
+ * REST stacks give {endpoint: {controller, route, request, response}, behavior, rules, errors, ac}
+ * @param {string} [operation] - Section of the main operation ("Mutation" or "Endpoint")
+ */
+export function parseBackendSpec(text, operation = 'Mutation') {
+  const { sections, ac } = parseSpecSections(text);
+  const key = camelCase(operation);
+  return {
+    [key]: itemFields(sections[key]),
+    behavior: sections.behavior || [],
+    rules: sections.rules || [],
+    ...(sections.errors && { errors: sections.errors }),
+    ac
+  };
+}
+
+/**
+ * Frontend spec (us2f) as {component: {name, type, location}, uiElements, states, interactions, styling, ac}.
+ * Framework profiles add props (React/Vue props, Angular inputs), state and events (outputs, emits)
+ */
+export function parseFrontendSpec(text) {
+  const { sections, ac } = parseSpecSections(text);
+  const props = sections.props || sections.inputs;
+  const events = sections.events || sections.outputs || sections.emits;
+  return {
+    component: itemFields(sections.component),
+    ...(props && { props }),
+    ...(sections.state && { state: sections.state }),
+    ...(events && { events }),
+    uiElements: sections.uiElements || sections.elements || [],
+    states: sections.states || [],
+    interactions: sections.interactions || sections.behavior || [],
+    styling: sections.styling || [],
+    ac
+  };
+}
+
+// === MULTI-OPERATION SPECS ===
+// Fields that may repeat inside an operation block
+const LIST_FIELDS = ['behavior', 'rules'];
+
+function addOperationField(operation, text) {
+  const match = text.match(/^([A-Za-z][\w ]*):\s*(.*)$/);
+  if (!match) return;
+  const key = camelCase(match[1]);
+  const value = match[2].trim();
+
+  if (key === 'ac') {
+    operation.ac.push(...[...value.matchAll(/\d+/g)].map(m => parseInt(m[0], 10)));
+  } else if (LIST_FIELDS.includes(key)) {
+    if (value) operation[key].push(value);
+  } else {
+    operation[key] = /^none$/i.test(value) ? null : value;
+  }
+}
+
+/**
+ * Multi-operation backend spec (us2b --multi): "Query: Name" / "Mutation: Name" / "Subscription: Name"
+ * blocks of "- Field: value" lines, plus optional "Types:" and "Enums:" lists
+ * @returns {{operations: Array<{kind: string, name: string, input?: string|null, returns?: string, behavior: string[], rules: string[], ac: number[]}>, types: string[], enums: Array<{name: string, values: string[]}>, ac: number[]}}
+ */
+export function parseMultiSpec(text) {
+  const operations = [];
+  const types = [];
+  const enums = [];
+  let current = null;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const item = line.match(/^[-*•]\s*(.*)$/);
+    if (item) {
+      const value = item[1].trim();
+      if (current === types && !/^none$/i.test(value)) {
+        types.push(value);
+      } else if (current === enums && !/^none$/i.test(value)) {
+        const match = value.match(/^(\w+)\s*[:=]\s*(.*)$/);
+        enums.push(match
+          ? { name: match[1], values: match[2].split(/[,|]/).map(v => v.trim()).filter(Boolean) }
+          : { name: value, values: [] });
+      } else if (current && current !== types && current !== enums) {
+        addOperationField(current, value);
+      }
+      continue;
+    }
+
+    const header = line.match(/^(Query|Mutation|Subscription|Types|Enums):\s*(.*)$/i);
+    if (!header) {
+      current = null;
+      continue;
+    }
+    const kind = header[1].toLowerCase();
+    if (kind === 'types') {
+      current = types;
+    } else if (kind === 'enums') {
+      current = enums;
+    } else {
+      current = { kind, name: header[2].trim(), behavior: [], rules: [], ac: [] };
+      operations.push(current);
+    }
+  }
+
+  const ac = [...new Set(operations.flatMap(op => op.ac))].sort((a, b) => a - b);
+
+  return { operations, types, enums, ac };
+}
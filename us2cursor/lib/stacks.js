@@ -0,0 +1,315 @@
+// === BACKEND STACKS ===
+// us2b stack profiles: prompt template, expected spec layout and post-processor keywords
+
+import { parseMultiSpec } from './spec.js';
+
+export const DEFAULT_STACK = 'hotchocolate';
+
+// Lines mentioning the UI are dropped from backend specs
+const UI_KEYWORDS = [
+  'click', 'button', 'modal', 'icon', 'display', 'show', 'figma',
+  'tab', 'scroll', 'view', 'disabled', 'enabled', 'visible', 'hidden',
+  'screen', 'page', 'navigate', 'hover', 'dropdown', 'popup', 'tooltip'
+];
+
+// REST specs talk about paging and views (e.g. "?page=2", "OrderView"), keep those lines
+const REST_UI_KEYWORDS = UI_KEYWORDS.filter(kw => !['page', 'view', 'tab'].includes(kw));
+
+// --multi specs model paging, views and flags as data (GetOrdersPage, NotificationView, IsEnabled),
+// only UI interactions are dropped
+const MULTI_UI_KEYWORDS = [
+  'click', 'button', 'modal', 'icon', 'figma', 'scroll', 'screen',
+  'navigate', 'hover', 'dropdown', 'popup', 'tooltip'
+];
+
+const COMMON_RULES = `- BACKEND ONLY (database, API, business logic)
+- IGNORE all UI (clicks, buttons, modals, display)
+- Max 3 items per section
+- MUST include AC section at the end`;
+
+const FOOTER = `AC: <list AC numbers this covers, e.g., 1, 2, 5>
+
+MANDATORY: Always end with "AC:" followed by the acceptance criteria numbers covered.
+NO intro text. NO code blocks. NO explanations. ONLY the spec above. ALL IN ENGLISH.`;
+
+// us2b --multi: every GraphQL operation the story needs
+const GRAPHQL_MULTI_PROMPT = `Extract ALL backend GraphQL operations this user story needs. Output ONLY the spec, no intro text.
+ALL OUTPUT MUST BE IN ENGLISH.
+
+RULES:
+- One block per operation: Query (reads), Mutation (writes), Subscription (real-time events)
+- Only the operations the story really needs, max 6 blocks
+- BACKEND ONLY (database, API, business logic)
+- IGNORE all UI (clicks, buttons, modals, display)
+- C# types: Guid, string, int, decimal, bool, DateTime
+- New object types as C# records under "Types:", new enums under "Enums:" ("- none" if there are none)
+- Max 2 Behavior and 2 Rules lines per block
+- EVERY block MUST end with "- AC:" and the acceptance criteria numbers it covers
+
+EXACT FORMAT (no deviations):
+
+Types:
+- record <n>(Guid Id, string Field)
+
+Enums:
+- <Name>: <VALUE1>, <VALUE2>
+
+Query: <PascalCase>
+- Input: record <n>(Guid Field) | none
+- Returns: <record name or [record name]>
+- Behavior: <data operation>
+- Rules: <business rule>
+- AC: <numbers, e.g., 1, 2>
+
+Mutation: <PascalCase>
+- Input: record <n>(Guid Field, string Field)
+- Returns: record <n>(Guid Id, bool Success)
+- Behavior: <data operation>
+- Rules: <business rule>
+- AC: <numbers>
+
+Subscription: <PascalCase>
+- Input: record <n>(Guid Field) | none
+- Returns: <record name>
+- Behavior: <event that triggers it>
+- Rules: <who receives it>
+- AC: <numbers>
+
+NO intro text. NO code blocks. NO explanations. ONLY the spec above. ALL IN ENGLISH.`;
+
+function restPrompt({ framework, types, controller, route, request, response }) {
+  return `Extract the PRIMARY backend endpoint from this user story. Output ONLY the spec, no intro text.
+ALL OUTPUT MUST BE IN ENGLISH.
+
+RULES:
+- ONE endpoint only (the main operation)
+- ${framework}
+- Types: ${types}
+${COMMON_RULES}
+
+EXACT FORMAT (no deviations):
+
+Endpoint:
+- Controller: ${controller}
+- Route: ${route}
+- Request: ${request}
+- Response: ${response}
+
+Behavior:
+- <data operation 1>
+- <data operation 2>
+
+Rules:
+- <business rule 1>
+- <business rule 2>
+
+Errors:
+- <status code>: <when it happens>
+
+${FOOTER}`;
+}
+
+/**
+ * operation: section holding the main operation, fields: "- Field:" lines it must contain,
+ * sections: other required sections, keywords: lines to drop in post-processing,
+ * multiPrompt / multiKeywords: prompt and post-processor keywords for --multi (GraphQL stacks only)
+ */
+const STACKS = {
+  hotchocolate: {
+    label: 'HotChocolate',
+    operation: 'Mutation',
+    fields: ['Name', 'Input', 'Returns'],
+    sections: ['Behavior', 'Rules'],
+    keywords: UI_KEYWORDS,
+    multiKeywords: MULTI_UI_KEYWORDS,
+    multiPrompt: GRAPHQL_MULTI_PROMPT,
+    prompt: `Extract the PRIMARY backend mutation from this user story. Output ONLY the spec, no intro text.
+ALL OUTPUT MUST BE IN ENGLISH.
+
+RULES:
+- ONE mutation only (the main operation)
+- BACKEND ONLY (database, API, business logic)
+- IGNORE all UI (clicks, buttons, modals, display)
+- C# types: Guid, string, int, bool
+- Max 3 items per section
+- MUST include AC section at the end
+
+EXACT FORMAT (no deviations):
+
+Mutation:
+- Name: <PascalCase>
+- Input: record <n>(Guid Field, string Field)
+- Returns: record <n>(Guid Id, bool Success)
+
+Behavior:
+- <data operation 1>
+- <data operation 2>
+
+Rules:
+- <business rule 1>
+- <business rule 2>
+
+${FOOTER}`
+  },
+  'aspnet-rest': {
+    label: 'ASP.NET REST',
+    operation: 'Endpoint',
+    fields: ['Controller', 'Route', 'Request', 'Response'],
+    sections: ['Behavior', 'Rules'],
+    keywords: REST_UI_KEYWORDS,
+    prompt: restPrompt({
+      framework: 'ASP.NET Core [ApiController], C# records for DTOs',
+      types: 'Guid, string, int, decimal, bool, DateTime',
+      controller: '<PascalCase>Controller',
+      route: '<GET|POST|PUT|PATCH|DELETE> api/<resource>',
+      request: 'record <n>Request(Guid Field, string Field)',
+      response: '<status code> record <n>Response(Guid Id, bool Success)'
+    })
+  },
+  nestjs: {
+    label: 'NestJS',
+    operation: 'Endpoint',
+    fields: ['Controller', 'Route', 'Request', 'Response'],
+    sections: ['Behavior', 'Rules'],
+    keywords: REST_UI_KEYWORDS,
+    prompt: restPrompt({
+      framework: 'NestJS @Controller + @Injectable service, DTO classes with class-validator decorators',
+      types: 'string, number, boolean, Date (ids are string uuids)',
+      controller: '<PascalCase>Controller → <PascalCase>Service.<method>()',
+      route: '<@Get|@Post|@Put|@Patch|@Delete> /<resource>',
+      request: 'class <n>Dto { @IsUUID() field: string; @IsString() field: string }',
+      response: '<status code> class <n>ResponseDto { id: string; success: boolean }'
+    })
+  },
+  'spring-boot': {
+    label: 'Spring Boot',
+    operation: 'Endpoint',
+    fields: ['Controller', 'Route', 'Request', 'Response'],
+    sections: ['Behavior', 'Rules'],
+    keywords: REST_UI_KEYWORDS,
+    prompt: restPrompt({
+      framework: 'Spring Boot @RestController + @Service, Java records with Bean Validation',
+      types: 'UUID, String, int, long, BigDecimal, boolean, Instant',
+      controller: '<PascalCase>Controller → <PascalCase>Service.<method>()',
+      route: '<@GetMapping|@PostMapping|@PutMapping|@PatchMapping|@DeleteMapping> /api/<resource>',
+      request: 'record <n>Request(@NotNull UUID field, @NotBlank String field)',
+      response: '<status code> record <n>Response(UUID id, boolean success)'
+    })
+  }
+};
+
+export const STACK_NAMES = Object.keys(STACKS);
+
+/**
+ * Stack profile by name
+ * @param {string} [name] - Profile name, defaults to hotchocolate
+ * @returns {{name: string, label: string, operation: string, fields: string[], sections: string[], keywords: string[], prompt: string, multiPrompt?: string, multiKeywords?: string[]}}
+ */
+export function getStack(name = DEFAULT_STACK) {
+  const key = name.toLowerCase();
+  const stack = STACKS[key];
+  if (!stack) {
+    throw new Error(`Unknown stack "${name}". Supported: ${STACK_NAMES.join(', ')}`);
+  }
+  return { name: key, ...stack };
+}
+
+// Whole words only (plural allowed), so "Table" or "IsEnabled" don't match "tab" or "enabled"
+function keywordPattern(keywords) {
+  return new RegExp(`\\b(${keywords.join('|')})s?\\b`, 'i');
+}
+
+/**
+ * Drop the lines of a generated spec that talk about the UI. Operation headers, their
+ * signature fields and, in --multi, the Types/Enums lists are always kept.
+ * @param {{multi?: boolean}} [options]
+ * @returns {string}
+ */
+export function filterUiLines(stack, text, { multi = false } = {}) {
+  const pattern = keywordPattern(multi ? stack.multiKeywords || stack.keywords : stack.keywords);
+  const header = multi
+    ? /^(Query|Mutation|Subscription|Types|Enums):/i
+    : new RegExp(`^${stack.operation}:`, 'i');
+  const field = multi
+    ? /^[-*•]\s*(Input|Returns):/i
+    : new RegExp(`^[-*•]\\s*(${stack.fields.join('|')}):`, 'i');
+  let inTypes = false;
+
+  return text.split('\n').filter(line => {
+    const trimmed = line.trim();
+    const section = trimmed.match(/^(\w+):/);
+    if (section && !/^[-*•]/.test(trimmed)) inTypes = multi && /^(Types|Enums)$/i.test(section[1]);
+
+    if (header.test(trimmed) || field.test(trimmed) || inTypes) return true;
+    return !pattern.test(line);
+  }).join('\n');
+}
+
+// Issues of each block of a --multi spec
+function multiOutputIssues(text) {
+  const issues = [];
+  const { operations, enums } = parseMultiSpec(text);
+
+  if (!operations.length) issues.push('Missing "Query:", "Mutation:" or "Subscription:" blocks');
+
+  const seen = new Set();
+  for (const op of operations) {
+    const kind = op.kind[0].toUpperCase() + op.kind.slice(1);
+    if (!op.name) {
+      issues.push(`${kind} block without a name`);
+      continue;
+    }
+    const where = `${kind} "${op.name}"`;
+    if (!/^[A-Z][A-Za-z0-9]*$/.test(op.name)) issues.push(`${where}: name is not PascalCase`);
+    if (seen.has(op.name)) issues.push(`${where}: defined twice`);
+    seen.add(op.name);
+
+    if (op.input === undefined) issues.push(`${where}: missing "- Input:"`);
+    if (!op.returns) issues.push(`${where}: missing "- Returns:"`);
+    if (!op.behavior.length) issues.push(`${where}: missing "- Behavior:"`);
+    if (!op.ac.length) issues.push(`${where}: missing "- AC:" numbers`);
+  }
+
+  for (const en of enums) {
+    if (!en.values.length) issues.push(`Enum "${en.name}" has no values`);
+  }
+
+  return issues;
+}
+
+/**
+ * Issues in a spec generated for a stack
+ * @param {{multi?: boolean}} [options] - Validate a --multi spec block by block
+ * @returns {{isValid: boolean, issues: string[]}}
+ */
+export function validateStackOutput(stack, text, { multi = false } = {}) {
+  if (multi) {
+    return withCommonChecks(multiOutputIssues(text), text);
+  }
+
+  const issues = [];
+
+  if (!text.includes(`${stack.operation}:`)) issues.push(`Missing "${stack.operation}:" section`);
+  for (const field of stack.fields) {
+    if (!text.includes(`- ${field}:`)) issues.push(`Missing "- ${field}:" in ${stack.operation}`);
+  }
+  for (const section of stack.sections) {
+    if (!text.includes(`${section}:`)) issues.push(`Missing "${section}:" section`);
+  }
+  if (!text.includes('AC:')) issues.push('Missing "AC:" section');
+
+  return withCommonChecks(issues, text);
+}
+
+// Truncation and unclosed records, for every stack and mode
+function withCommonChecks(issues, text) {
+  if (text.endsWith('-') || text.endsWith(':') || text.endsWith(',')) {
+    issues.push('Output appears to be truncated');
+  }
+
+  // C# and Java records
+  const recordMatches = text.match(/record \w+\([^)]*$/gm);
+  if (recordMatches) issues.push('Incomplete record (missing closing parenthesis)');
+
+  return { isValid: issues.length === 0, issues };
+}
@@ -1,89 +1,35 @@
 #!/usr/bin/env node
 
 import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
+import { chat, checkLLMConfig } from './lib/llm.js';
+import { createAzDoClient } from './lib/azdo.js';
+import { loadEnv, isMainModule } from './lib/env.js';
+import { runCli } from './us2cursor.js';
+import { log, writeJson } from './lib/output.js';
 
-// Cargar .env desde el directorio del script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 // === CONFIGURACIÓN ===
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
 const AZURE_REPO = process.env.AZURE_REPO || '';
+const LLM_ERROR = checkLLMConfig('prfix');
 
 // Validar configuración
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Error: Missing environment variables in .env');
-  console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  console.error('   Optional: AZURE_REPO (repository name)');
-  process.exit(1);
-}
-
-// === AZURE DEVOPS - PULL REQUEST ===
-async function getRepositories() {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/git/repositories?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    throw new Error(`Error fetching repositories: ${res.status} - Verify your PAT has Code > Read permissions`);
-  }
-
-  const data = await res.json();
-  return data.value;
-}
-
-async function getPullRequest(repoId, prId) {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/git/repositories/${repoId}/pullrequests/${prId}?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    throw new Error(`Error fetching PR: ${res.status}`);
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Error: Missing environment variables in .env');
+    console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    console.error('   Optional: AZURE_REPO (repository name)');
+    process.exit(1);
   }
-
-  return res.json();
 }
 
-async function getPRComments(repoId, prId) {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/git/repositories/${repoId}/pullrequests/${prId}/threads?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    throw new Error(`Error fetching comments: ${res.status}`);
-  }
-
-  const data = await res.json();
-  return data.value;
-}
+// === AZURE DEVOPS - PULL REQUEST ===
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
 function extractPendingComments(threads) {
   const comments = [];
@@ -115,7 +61,7 @@ function extractPendingComments(threads) {
   return comments;
 }
 
-// === GROQ - GENERATE MINIMAL PROMPT ===
+// === LLM - GENERATE MINIMAL PROMPT ===
 const GENERATE_PROMPT = `Convert these PR comments into a MINIMAL prompt for Cursor.
 ALL OUTPUT MUST BE IN ENGLISH.
 
@@ -150,129 +96,95 @@ async function generateMinimalPrompt(comments) {
 PR COMMENTS:
 ${commentsText}`;
 
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${GROQ_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [{ role: 'user', content: userMessage }],
-      max_tokens: 300,
-      temperature: 0.05
-    })
+  return chat('prfix', [{ role: 'user', content: userMessage }], {
+    maxTokens: 300,
+    temperature: 0.05
   });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Groq API Error ${response.status}: ${errorText}`);
-  }
-
-  const data = await response.json();
-  return data.choices[0].message.content;
 }
 
 // === HELPERS ===
 function printHeader() {
-  console.log('');
-  console.log('╔═══════════════════════════════════════════════════════╗');
-  console.log('║   US2PR - Optimized prompt from PR comments           ║');
-  console.log('╚═══════════════════════════════════════════════════════╝');
-  console.log('');
+  log('');
+  log('╔═══════════════════════════════════════════════════════╗');
+  log('║   PRFIX - Optimized prompt from PR comments           ║');
+  log('╚═══════════════════════════════════════════════════════╝');
+  log('');
 }
 
 function printDivider() {
-  console.log('─'.repeat(55));
+  log('─'.repeat(55));
 }
 
-// === MAIN ===
-async function main() {
-  const prId = process.argv[2];
-  const repoNameArg = process.argv[3];
+function prSummary(pr, repo) {
+  return { id: pr.pullRequestId, title: pr.title, repo: repo.name };
+}
 
+// === MAIN ===
+/**
+ * @param {{prId: string, repo?: string, json?: boolean, clipboard: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { prId } = options;
+  checkConfig();
   printHeader();
 
-  if (!prId) {
-    console.log('  Usage: us2pr <pull-request-id> [repo-name]');
-    console.log('');
-    console.log('  Examples:');
-    console.log('    us2pr 123');
-    console.log('    us2pr 123 MyRepo');
-    console.log('');
-    console.log('  Generates optimized prompt for Cursor from');
-    console.log('  pending PR comments.');
-    console.log('');
-    process.exit(1);
-  }
-
   try {
-    console.log(`  🔍 Fetching repository...`);
-    const repos = await getRepositories();
-    
-    let repo;
-    const repoName = repoNameArg || AZURE_REPO;
-    
-    if (repoName) {
-      repo = repos.find(r => r.name.toLowerCase() === repoName.toLowerCase());
-      if (!repo) {
-        console.error(`  ❌ Repository "${repoName}" not found`);
-        console.log('');
-        console.log('  Available repositories:');
-        repos.forEach(r => console.log(`    - ${r.name}`));
-        process.exit(1);
-      }
-    } else {
-      repo = repos[0];
-    }
-    console.log(`  📦 Repo: ${repo.name}`);
+    log(`  🔍 Fetching repository...`);
+    const repo = await azdo.findRepository(options.repo || AZURE_REPO);
+    log(`  📦 Repo: ${repo.name}`);
 
-    console.log(`  🔍 Fetching PR #${prId}...`);
-    const pr = await getPullRequest(repo.id, prId);
-    console.log(`  📋 "${pr.title}"`);
+    log(`  🔍 Fetching PR #${prId}...`);
+    const pr = await azdo.getPullRequest(repo.id, prId);
+    log(`  📋 "${pr.title}"`);
     
-    console.log(`  💬 Fetching comments...`);
-    const threads = await getPRComments(repo.id, prId);
+    log(`  💬 Fetching comments...`);
+    const threads = await azdo.getThreads(repo.id, prId);
     const pendingComments = extractPendingComments(threads);
     
-    console.log(`  📝 Pending comments: ${pendingComments.length}`);
+    log(`  📝 Pending comments: ${pendingComments.length}`);
     
     if (pendingComments.length === 0) {
-      console.log('');
-      console.log('  ✅ No pending comments. All resolved!');
-      console.log('');
+      log('');
+      log('  ✅ No pending comments. All resolved!');
+      log('');
+      if (options.json) writeJson({ pr: prSummary(pr, repo), comments: [], prompt: null });
       process.exit(0);
     }
     
-    console.log(`  ⚙️  Generating optimized prompt...`);
-    console.log('');
+    log(`  ⚙️  Generating optimized prompt...`);
+    log('');
     
     const prompt = await generateMinimalPrompt(pendingComments);
     
-    clipboard.writeSync(prompt);
+    if (options.clipboard) clipboard.writeSync(prompt);
     
     printDivider();
-    console.log(prompt);
+    log(prompt);
     printDivider();
-    console.log('');
-    console.log('  ✅ Prompt copied to clipboard!');
-    console.log('  👉 Paste in Cursor (Ctrl+V) and press Enter');
-    console.log('');
+    log('');
+    if (options.clipboard) {
+      log('  ✅ Prompt copied to clipboard!');
+      log('  👉 Paste in Cursor (Ctrl+V) and press Enter');
+    }
+    log('');
+    
+    if (options.json) writeJson({ pr: prSummary(pr, repo), comments: pendingComments, prompt });
     
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`);
-    console.log('');
-    console.log('  Possible causes:');
-    console.log('    - PR does not exist');
-    console.log('    - PAT missing Code > Read permissions');
-    console.log('    - Incorrect repository');
-    console.log('');
-    console.log('  To add PAT permissions:');
-    console.log('    1. Go to Azure DevOps → User Settings → Personal Access Tokens');
-    console.log('    2. Edit token → Add Code > Read');
-    console.log('');
+    log('');
+    log('  Possible causes:');
+    log('    - PR does not exist');
+    log('    - PAT missing Code > Read permissions');
+    log('    - Incorrect repository');
+    log('');
+    log('  To add PAT permissions:');
+    log('    1. Go to Azure DevOps → User Settings → Personal Access Tokens');
+    log('    2. Edit token → Add Code > Read');
+    log('');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor pr fix"
+if (isMainModule(import.meta.url)) runCli(['pr', 'fix', ...process.argv.slice(2)]);
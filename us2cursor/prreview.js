@@ -1,33 +1,42 @@
 #!/usr/bin/env node
 
 import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
 import * as readline from 'readline';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+import { chat, checkLLMConfig } from './lib/llm.js';
+import { createAzDoClient, AzDoNotFoundError, AzDoPermissionError } from './lib/azdo.js';
+import { unifiedDiff, changedOldLines } from './lib/diff.js';
+import {
+  buildChunks, reviewSchema, extractJson, validateReview, mergeReviews, renderReview, severityLabel,
+  renderFileCoverage, insertBeforeFooter,
+  iterationMarker, withIterationMarker, findLastReviewedIteration, threadIteration,
+  isPrreviewThread, isActiveThread, findDuplicateThread, voteForReview
+} from './lib/review.js';
+import { loadEnv, isMainModule, EXIT_CODES } from './lib/env.js';
+import { log, writeJson } from './lib/output.js';
+import { formatAcceptanceCriteria, parseAcceptanceCriteria } from './lib/html.js';
+import { runCli } from './us2cursor.js';
+
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
 const AZURE_REPO = process.env.AZURE_REPO || '';
-
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Missing config. Create .env.local with: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  process.exit(1);
+const CONTEXT_LINES = parseInt(process.env.PRREVIEW_CONTEXT_LINES || '3', 10);
+// Diff tokens sent per LLM call, and max LLM calls per review
+const TOKEN_BUDGET = parseInt(process.env.PRREVIEW_TOKEN_BUDGET || '5000', 10);
+const MAX_CHUNKS = parseInt(process.env.PRREVIEW_MAX_CHUNKS || '6', 10);
+// Cast a reviewer vote from the verdict when publishing (same as --vote)
+const VOTE_BY_DEFAULT = process.env.PRREVIEW_VOTE === 'true';
+const LLM_ERROR = checkLLMConfig('prreview');
+
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Missing config. Create .env.local with: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    process.exit(1);
+  }
 }
 
 function askQuestion(q) {
@@ -35,67 +44,24 @@ function askQuestion(q) {
   return new Promise(r => rl.question(q, a => { rl.close(); r(a.trim().toLowerCase()); }));
 }
 
-const authHeader = { 'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}` };
-
-async function azGet(url) {
-  const res = await fetch(url, { headers: authHeader });
-  if (!res.ok) throw new Error(`API ${res.status}`);
-  return res.json();
-}
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
-async function azGetText(url) {
-  const res = await fetch(url, { headers: authHeader });
-  return res.ok ? res.text() : null;
-}
-
-async function azPost(url, body) {
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { ...authHeader, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`POST ${res.status}: ${err}`);
+// Linked work items are only context for the review: skip any that are gone or not visible to the PAT
+async function getLinkedWorkItem(id) {
+  try {
+    return await azdo.getWorkItem(id, { relations: true });
+  } catch (err) {
+    if (err instanceof AzDoNotFoundError || err instanceof AzDoPermissionError) return null;
+    throw err;
   }
-  return res.json();
-}
-
-const baseUrl = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis`;
-
-async function getRepos() { return (await azGet(`${baseUrl}/git/repositories?api-version=7.0`)).value; }
-async function getPR(repoId, prId) { return azGet(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}?api-version=7.0`); }
-async function getPRWorkItems(repoId, prId) { 
-  try { return (await azGet(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}/workitems?api-version=7.0`)).value || []; } 
-  catch { return []; }
-}
-async function getWorkItem(id) { 
-  try { return azGet(`${baseUrl}/wit/workitems/${id}?api-version=7.0`); } 
-  catch { return null; }
-}
-
-// Get Work Item with relations (to find parent)
-async function getWorkItemWithRelations(id) { 
-  try { return azGet(`${baseUrl}/wit/workitems/${id}?$expand=relations&api-version=7.0`); } 
-  catch { return null; }
 }
 
 // Find parent User Story from a Task
 async function findParentUserStory(wi) {
-  if (!wi.relations) return null;
-  
-  // Look for parent relation
-  const parentRel = wi.relations.find(r => 
-    r.rel === 'System.LinkTypes.Hierarchy-Reverse' // Parent link
-  );
-  
-  if (!parentRel) return null;
-  
-  // Extract parent ID from URL
-  const parentId = parentRel.url?.split('/').pop();
+  const [parentId] = azdo.relatedIds(wi, 'System.LinkTypes.Hierarchy-Reverse');
   if (!parentId) return null;
   
-  const parentWi = await getWorkItemWithRelations(parentId);
+  const parentWi = await getLinkedWorkItem(parentId);
   if (!parentWi) return null;
   
   const parentType = parentWi.fields['System.WorkItemType'];
@@ -112,17 +78,10 @@ async function findParentUserStory(wi) {
   
   return null;
 }
-async function getPRIterations(repoId, prId) { return (await azGet(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}/iterations?api-version=7.0`)).value; }
-async function getPRChanges(repoId, prId, iterId) { return (await azGet(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}/iterations/${iterId}/changes?api-version=7.0`)).changeEntries || []; }
-
-async function getFileAtCommit(repoId, commitId, path) {
-  const url = `${baseUrl}/git/repositories/${repoId}/items?path=${encodeURIComponent(path)}&versionType=Commit&version=${commitId}&api-version=7.0`;
-  return azGetText(url);
-}
 
 // Post general comment (not on a specific line)
 async function postGeneralComment(repoId, prId, content) { 
-  return azPost(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}/threads?api-version=7.0`, { 
+  return azdo.createThread(repoId, prId, { 
     comments: [{ parentCommentId: 0, content, commentType: 1 }], 
     status: 1 
   }); 
@@ -151,7 +110,45 @@ async function postLineComment(repoId, prId, filePath, line, content, iterationI
     }
   };
   
-  return azPost(`${baseUrl}/git/repositories/${repoId}/pullrequests/${prId}/threads?api-version=7.0`, body);
+  return azdo.createThread(repoId, prId, body);
+}
+
+// Resolve prreview threads whose code changed since they were posted and
+// whose issue was not reported again in this review
+async function resolveStaleThreads(repoId, prId, threads, keepIds, iterations, iterationId, sourceCommit) {
+  const resolved = [];
+  const contentCache = new Map();
+  const fileAt = async (commit, path) => {
+    const key = `${commit}:${path}`;
+    if (!contentCache.has(key)) contentCache.set(key, await azdo.getItemContent(repoId, path, commit));
+    return contentCache.get(key);
+  };
+
+  for (const thread of threads) {
+    if (keepIds.has(thread.id) || !isPrreviewThread(thread) || !isActiveThread(thread)) continue;
+
+    const path = thread.threadContext?.filePath;
+    const postedIn = threadIteration(thread, iterations);
+    if (!path || !postedIn || postedIn >= iterationId) continue;
+
+    // Line as originally posted (threadContext is tracked to the latest iteration)
+    const line = thread.pullRequestThreadContext?.trackingCriteria?.origRightFileStart?.line
+      ?? thread.threadContext.rightFileStart?.line;
+    const postedCommit = iterations.find(it => it.id === postedIn)?.sourceRefCommit?.commitId;
+    if (!line || !postedCommit) continue;
+
+    const before = await fileAt(postedCommit, path);
+    if (before === null) continue;
+    const after = await fileAt(sourceCommit, path);
+    const changed = after === null || changedOldLines(before, after).has(line);
+    if (!changed) continue;
+
+    await azdo.replyToThread(repoId, prId, thread.id, `✅ Code changed and the issue was not found again. Resolving.\n\n---\n${iterationMarker(iterationId)}`);
+    await azdo.updateThread(repoId, prId, thread.id, { status: 'fixed' });
+    resolved.push({ path, line });
+  }
+
+  return resolved;
 }
 
 function extractUS(wi) {
@@ -159,273 +156,151 @@ function extractUS(wi) {
   return {
     id: wi.id,
     title: f['System.Title'] || '',
-    ac: (f['Microsoft.VSTS.Common.AcceptanceCriteria'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim()
+    ac: formatAcceptanceCriteria(parseAcceptanceCriteria(f['Microsoft.VSTS.Common.AcceptanceCriteria']))
   };
 }
 
-function extractChangedLines(oldContent, newContent, maxContext = 3) {
-  if (!oldContent) {
-    const lines = newContent.split('\n').slice(0, 150);
-    return lines.map((l, i) => `+${i + 1}|${l}`).join('\n');
-  }
-  
-  const oldLines = oldContent.split('\n');
-  const newLines = newContent.split('\n');
-  const changes = [];
-  const changedLineNumbers = new Set();
-  
-  for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
-    if (oldLines[i] !== newLines[i]) {
-      changedLineNumbers.add(i);
-      for (let ctx = Math.max(0, i - maxContext); ctx <= Math.min(newLines.length - 1, i + maxContext); ctx++) {
-        changedLineNumbers.add(ctx);
-      }
-    }
-  }
-  
-  const sortedLines = Array.from(changedLineNumbers).sort((a, b) => a - b);
-  let lastLine = -10;
-  
-  for (const lineNum of sortedLines) {
-    if (lineNum > lastLine + 1 && changes.length > 0) {
-      changes.push('...');
-    }
-    
-    const lineContent = newLines[lineNum] || '';
-    const isNew = oldLines[lineNum] !== newLines[lineNum];
-    const prefix = isNew ? '+' : ' ';
-    changes.push(`${prefix}${lineNum + 1}|${lineContent}`);
-    lastLine = lineNum;
-  }
-  
-  return changes.slice(0, 100).join('\n');
-}
-
-// Parse review output to extract issues from table format
-function parseReviewIssues(reviewText) {
-  const issues = [];
-  
-  // Match table rows: | 🔴 CRITICAL | Bugs | Query.cs | 45 | issue | fix |
-  const tableRowRegex = /\|\s*(🔴 CRITICAL|🟡 IMPORTANT|🔵 MINOR)\s*\|\s*(\w+)\s*\|\s*([^\|]+\.(?:cs|js|ts|tsx|jsx|py|java|go))\s*\|\s*(\d+)\s*\|\s*([^|]+)\|\s*([^|]+)\|/g;
-  
-  let match;
-  while ((match = tableRowRegex.exec(reviewText)) !== null) {
-    issues.push({
-      severity: match[1].trim(),
-      category: match[2].trim(),
-      fileName: match[3].trim(),
-      line: parseInt(match[4], 10),
-      issue: match[5].trim(),
-      fix: match[6].trim()
-    });
-  }
-  
-  return issues;
-}
-
 // Find the file path and change tracking ID for a given file name
 function findFileInfo(changes, fileName) {
-  for (const change of changes) {
-    const path = change.item?.path || '';
-    if (path.endsWith(fileName) || path.includes(fileName)) {
-      return {
-        path: path,
-        changeTrackingId: change.changeTrackingId
-      };
-    }
-  }
-  return null;
-}
+  const lower = fileName.toLowerCase();
+  const paths = changes.filter(c => c.item?.path);
+  const match = paths.find(c => c.item.path.split('/').pop().toLowerCase() === lower)
+    || paths.find(c => c.item.path.toLowerCase().endsWith(`/${lower}`))
+    || paths.find(c => c.item.path.toLowerCase().includes(lower));
 
-const PROMPT_WITH_US = `Output a code review with the EXACT structure below.
+  return match ? { path: match.item.path, changeTrackingId: match.changeTrackingId } : null;
+}
 
-Review only + lines. Be concise.
+const REVIEW_RULES = `Review only + lines. Be concise.
 
 CLASSIFICATION:
-- 🔴 CRITICAL: Bugs, Security
-- 🟡 IMPORTANT: Performance, CleanCode
-- 🔵 MINOR: BestPractices
+- CRITICAL: Bugs, Security
+- IMPORTANT: Performance, CleanCode
+- MINOR: BestPractices
 
 VERDICT:
-- Any 🔴 → REQUEST CHANGES
-- Any 🟡 → APPROVE WITH COMMENTS
-- Only 🔵 or nothing → APPROVE
+- Any CRITICAL → REQUEST CHANGES
+- Any IMPORTANT → APPROVE WITH COMMENTS
+- Only MINOR or nothing → APPROVE
 
 CRITICAL BUGS RULES (avoid false positives):
-- Only mark 🔴 CRITICAL if bug is EVIDENT in visible code
+- Only mark CRITICAL if bug is EVIDENT in visible code
 - Do NOT assume external/inherited methods return null
-- If method validation is unknown, mark 🟡 IMPORTANT with "(verify)" note
+- If method validation is unknown, mark IMPORTANT with "(verify)" note
 - Prefer false negatives over false positives for CRITICAL
 - Common safe patterns: GetCurrentUser, GetCurrentUserEmail usually throw if null
 
-RULES:
-- File column: ONLY filename (e.g. "Query.cs"), NOT full path
-- AC Coverage table MUST have 4 columns: AC | Description | Status | Where
-- Description column: 2-5 words summarizing each AC
-- Do NOT repeat the input files or CHANGES section
-- Output ONLY the review structure below
-
----
-OUTPUT STRUCTURE:
----
-
-## Code Review
-
-### ✅ Good
-- [positive point]
-
-### 📋 Issues
-
-| Severity | Category | File | Line | Issue | Fix |
-|----------|----------|------|------|-------|-----|
-| 🔴 CRITICAL | Bugs | Query.cs | 45 | [brief] | [brief] |
-| 🟡 IMPORTANT | Performance | Mutation.cs | 120 | [brief] | [brief] |
-| 🔵 MINOR | CleanCode | Service.cs | 30 | [brief] | [brief] |
-
-### 🧪 Missing Tests
-- Class.Method
-
-### 📋 AC Coverage
-*(MUST include Description column with 2-5 word summary of each AC)*
-
-| AC | Description | Status | Where |
-|----|-------------|--------|-------|
-| 1 | User can upload file | ✅ | Service.Upload |
-| 2 | Validate file size | ❌ | Not implemented |
-| 3 | Show error message | ✅ | Controller.Handle |
-
-### 📝 Verdict
-**APPROVE**
-
----
-*prreview*`;
-
-const PROMPT_NO_US = `Output a code review with the EXACT structure below.
-
-Review only + lines. Be concise.
-
-CLASSIFICATION:
-- 🔴 CRITICAL: Bugs, Security
-- 🟡 IMPORTANT: Performance, CleanCode
-- 🔵 MINOR: BestPractices
-
-VERDICT:
-- Any 🔴 → REQUEST CHANGES
-- Any 🟡 → APPROVE WITH COMMENTS
-- Only 🔵 or nothing → APPROVE
-
-CRITICAL BUGS RULES (avoid false positives):
-- Only mark 🔴 CRITICAL if bug is EVIDENT in visible code
-- Do NOT assume external/inherited methods return null
-- If method validation is unknown, mark 🟡 IMPORTANT with "(verify)" note
-- Prefer false negatives over false positives for CRITICAL
-- Common safe patterns: GetCurrentUser, GetCurrentUserEmail usually throw if null
+DIFF FORMAT:
+- "@@ -a,b +c,d @@" starts a hunk (old/new line ranges)
+- "+45|code" added line 45, " 46|code" unchanged context, "-|code" removed line
 
 RULES:
-- File column: ONLY filename (e.g. "Query.cs"), NOT full path
-- Do NOT repeat the input files or CHANGES section
-- Output ONLY the review structure below
+- "file": ONLY filename (e.g. "Query.cs"), NOT full path
+- "line": the number of a + line (line in the NEW file)
+- Empty arrays when there is nothing to report`;
 
----
-OUTPUT STRUCTURE:
----
+// Attempts to fix an invalid JSON answer before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
 
-## Code Review
+function buildReviewPrompt(withAC) {
+  const acRules = withAC
+    ? '\n- "acCoverage": one entry per acceptance criterion, "description" is a 2-5 word summary'
+    : '';
 
-### ✅ Good
-- [positive point]
+  return `Output a code review as a single JSON object.
 
-### 📋 Issues
+${REVIEW_RULES}${acRules}
 
-| Severity | Category | File | Line | Issue | Fix |
-|----------|----------|------|------|-------|-----|
-| 🔴 CRITICAL | Bugs | Query.cs | 45 | [brief] | [brief] |
-| 🟡 IMPORTANT | Performance | Mutation.cs | 120 | [brief] | [brief] |
-| 🔵 MINOR | CleanCode | Service.cs | 30 | [brief] | [brief] |
-
-### 🧪 Missing Tests
-- Class.Method
-
-### 📝 Verdict
-**APPROVE**
-
----
-*prreview*
-⚠️ No US linked`;
+OUTPUT (JSON only, no markdown, no text outside the object):
+${reviewSchema({ withAC })}`;
+}
 
+// Ask for a structured review, retrying with the validation errors when the JSON is invalid
 async function review(prTitle, files, us) {
-  const prompt = us ? PROMPT_WITH_US : PROMPT_NO_US;
+  const withAC = !!us;
   const usContext = us ? `\nUS#${us.id}: ${us.title}\nAC:\n${us.ac}` : '';
   
-  const res = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${GROQ_API_KEY}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are a code reviewer. Follow the EXACT output structure. AC Coverage table MUST have 4 columns: AC | Description | Status | Where. Description is a 2-5 word summary of the acceptance criteria.' 
-        },
-        { 
-          role: 'user', 
-          content: `${prompt}${usContext}\n\nPR: ${prTitle}\n\nCHANGES:\n${files}` 
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.1
-    })
-  });
-
-  if (!res.ok) throw new Error(`Groq ${res.status}`);
-  return (await res.json()).choices[0].message.content;
+  const messages = [
+    { 
+      role: 'system', 
+      content: 'You are a code reviewer. Answer with ONE JSON object that matches the requested schema exactly. No markdown, no explanations.' 
+    },
+    { 
+      role: 'user', 
+      content: `${buildReviewPrompt(withAC)}${usContext}\n\nPR: ${prTitle}\n\nCHANGES:\n${files}` 
+    }
+  ];
+  
+  for (let attempt = 0; ; attempt++) {
+    const raw = await chat('prreview', messages, { maxTokens: 2000, temperature: 0.1, json: true });
+    
+    let result = { review: null, errors: [] };
+    try {
+      result = validateReview(extractJson(raw), { withAC });
+    } catch (err) {
+      result.errors = [`Invalid JSON: ${err.message}`];
+    }
+    
+    if (!result.errors.length) return result.review;
+    
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      if (result.review) {
+        log(`  ⚠️  Review JSON still has ${result.errors.length} problem(s), keeping valid entries`);
+        return result.review;
+      }
+      throw new Error(`LLM returned an invalid review: ${result.errors.slice(0, 3).join('; ')}`);
+    }
+    
+    log(`  ⚠️  Invalid review JSON (${result.errors.length} problem(s)), retrying...`);
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `That answer is invalid:\n- ${result.errors.slice(0, 10).join('\n- ')}\n\nReturn ONLY the corrected JSON object.` }
+    );
+  }
 }
 
 function printHeader() {
-  console.log('\n╔═══════════════════════════════════════════════════════╗');
-  console.log('║   PRREVIEW - AI Code Review (Changes Only)            ║');
-  console.log('╚═══════════════════════════════════════════════════════╝\n');
+  log('\n╔═══════════════════════════════════════════════════════╗');
+  log('║   PRREVIEW - AI Code Review (Changes Only)            ║');
+  log('╚═══════════════════════════════════════════════════════╝\n');
 }
 
-async function main() {
-  const prId = process.argv[2];
-  const repoArg = process.argv[3];
+// JSON result when there is nothing to review
+function notReviewed(pr, repo, iterationId, reason) {
+  return { pr: { id: pr.pullRequestId, title: pr.title, repo: repo.name, iteration: iterationId }, reviewed: false, reason };
+}
 
+/**
+ * Exit code is 2 (CHECK_FAILED) when the verdict is REQUEST CHANGES
+ * @param {{prId: string, repo?: string, incremental?: boolean, sinceIteration?: number, publish?: boolean, vote?: boolean, yes?: boolean, json?: boolean, clipboard: boolean, interactive: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { prId, sinceIteration } = options;
+  const vote = options.vote || VOTE_BY_DEFAULT;
+  checkConfig();
   printHeader();
 
-  if (!prId) {
-    console.log('  Usage: prreview <pr-id> [repo]\n');
-    console.log('  Reviews ONLY the changes in the PR.');
-    console.log('  CRITICAL (bugs/security) > IMPORTANT (perf/clean) > MINOR (tests/practices)\n');
-    process.exit(1);
-  }
-
   try {
-    console.log('  🔍 Fetching PR...');
-    const repos = await getRepos();
-    const repo = (repoArg || AZURE_REPO) 
-      ? repos.find(r => r.name.toLowerCase() === (repoArg || AZURE_REPO).toLowerCase())
-      : repos[0];
-    
-    if (!repo) {
-      console.error(`  ❌ Repo not found. Available: ${repos.map(r => r.name).join(', ')}`);
-      process.exit(1);
-    }
-    console.log(`  📦 ${repo.name}`);
+    log('  🔍 Fetching PR...');
+    const repo = await azdo.findRepository(options.repo || AZURE_REPO);
+    log(`  📦 ${repo.name}`);
 
-    const pr = await getPR(repo.id, prId);
-    console.log(`  📋 "${pr.title}"`);
-    console.log(`  👤 ${pr.createdBy?.displayName || 'Unknown'}`);
+    const pr = await azdo.getPullRequest(repo.id, prId);
+    log(`  📋 "${pr.title}"`);
+    log(`  👤 ${pr.createdBy?.displayName || 'Unknown'}`);
     
-    const sourceCommit = pr.lastMergeSourceCommit?.commitId;
-    const targetCommit = pr.lastMergeTargetCommit?.commitId;
+    let sourceCommit = pr.lastMergeSourceCommit?.commitId;
+    let targetCommit = pr.lastMergeTargetCommit?.commitId;
     
     let us = null;
-    const wis = await getPRWorkItems(repo.id, prId);
+    const wis = await azdo.getPullRequestWorkItems(repo.id, prId).catch(err => {
+      if (err instanceof AzDoPermissionError) return [];
+      throw err;
+    });
     for (const item of wis) {
       const wiId = item.id || item.url?.split('/').pop();
       if (wiId) {
-        const wi = await getWorkItemWithRelations(wiId);
+        const wi = await getLinkedWorkItem(wiId);
         if (!wi) continue;
         
         const wiType = wi.fields['System.WorkItemType'];
@@ -433,109 +308,187 @@ async function main() {
         // If it's directly a US/PBI/Bug, use it
         if (['User Story', 'Product Backlog Item', 'Bug'].includes(wiType)) {
           us = extractUS(wi);
-          console.log(`  📝 US#${us.id}: "${us.title}"`);
+          log(`  📝 US#${us.id}: "${us.title}"`);
           break;
         }
         
         // If it's a Task, find its parent User Story
         if (wiType === 'Task') {
-          console.log(`  🔗 Task#${wi.id} linked, searching parent US...`);
+          log(`  🔗 Task#${wi.id} linked, searching parent US...`);
           const parentUS = await findParentUserStory(wi);
           if (parentUS) {
             us = extractUS(parentUS);
-            console.log(`  📝 US#${us.id}: "${us.title}" (parent of Task#${wi.id})`);
+            log(`  📝 US#${us.id}: "${us.title}" (parent of Task#${wi.id})`);
             break;
           }
         }
       }
     }
-    if (!us) console.log('  ⚠️  No US linked');
+    if (!us) log('  ⚠️  No US linked');
     
-    console.log('  📂 Getting changes...');
-    const iters = await getPRIterations(repo.id, prId);
+    log('  📂 Getting changes...');
+    const iters = await azdo.getIterations(repo.id, prId);
     const latestIteration = iters[iters.length - 1];
     const iterationId = latestIteration.id;
-    const changes = await getPRChanges(repo.id, prId, iterationId);
+    
+    let threads = null;
+    const loadThreads = async () => (threads ??= await azdo.getThreads(repo.id, prId, { iteration: iterationId }));
+    
+    // Incremental review: compare against an earlier iteration instead of the target branch
+    let baseIteration = null;
+    if (sinceIteration) {
+      baseIteration = sinceIteration;
+    } else if (options.incremental) {
+      baseIteration = findLastReviewedIteration(await loadThreads(), iters);
+      if (!baseIteration) log('  ℹ️  No previous prreview found, reviewing full PR');
+    }
+    
+    // A usage error: the PR has no such iteration
+    if (sinceIteration && !iters.some(it => it.id === sinceIteration)) {
+      console.error(`\n  ❌ --since-iteration ${sinceIteration}: PR #${prId} has no such iteration. Available: 1-${iterationId}\n`);
+      process.exitCode = EXIT_CODES.ERROR;
+      return;
+    }
+    
+    if (baseIteration) {
+      if (baseIteration >= iterationId) {
+        log(`\n  ✅ Iteration ${iterationId} already reviewed. Nothing new to review.\n`);
+        if (options.json) writeJson(notReviewed(pr, repo, iterationId, 'already reviewed'));
+        return;
+      }
+      const base = iters.find(it => it.id === baseIteration);
+      sourceCommit = latestIteration.sourceRefCommit?.commitId;
+      targetCommit = base.sourceRefCommit?.commitId;
+      log(`  🔁 Incremental: iteration ${baseIteration} → ${iterationId}`);
+    }
+    
+    const changes = await azdo.getIterationChanges(repo.id, prId, iterationId, baseIteration);
     
     const codeExts = ['.cs', '.js', '.ts', '.tsx', '.jsx', '.py', '.java', '.go'];
+    const skippedFiles = [];
     const codeFiles = changes.filter(c => {
       const p = c.item?.path || '';
-      return codeExts.some(e => p.endsWith(e)) && c.changeType !== 'delete';
+      if (!p || c.item?.isFolder) return false;
+      if (c.changeType === 'delete') {
+        skippedFiles.push({ path: p, reason: 'deleted' });
+        return false;
+      }
+      if (!codeExts.some(e => p.endsWith(e))) {
+        skippedFiles.push({ path: p, reason: 'not a code file' });
+        return false;
+      }
+      return true;
     });
     
-    console.log(`  📝 ${codeFiles.length} files changed`);
+    log(`  📝 ${codeFiles.length} files changed`);
     
     if (!codeFiles.length) {
-      console.log('\n  ⚠️  No code files.\n');
-      process.exit(0);
+      log('\n  ⚠️  No code files.\n');
+      if (options.json) writeJson(notReviewed(pr, repo, iterationId, 'no code files'));
+      return;
     }
     
-    console.log('  🔄 Extracting diffs...');
-    let diffContent = '';
+    log('  🔄 Extracting diffs...');
+    const fileDiffs = [];
     let addedLines = 0;
     
-    for (const c of codeFiles.slice(0, 8)) {
-      const path = c.item?.path;
-      if (!path) continue;
-      
+    for (const c of codeFiles) {
+      const path = c.item.path;
       const changeType = c.changeType;
-      const newContent = await getFileAtCommit(repo.id, sourceCommit, path);
-      if (!newContent) continue;
-      
-      let fileDiff;
-      if (changeType === 'add') {
-        const lines = newContent.split('\n').slice(0, 100);
-        fileDiff = lines.map((l, i) => `+${i + 1}|${l}`).join('\n');
-        addedLines += lines.length;
-      } else {
-        const oldContent = await getFileAtCommit(repo.id, targetCommit, path);
-        fileDiff = extractChangedLines(oldContent, newContent, 3);
-        addedLines += (fileDiff.match(/^\+/gm) || []).length;
+      const newContent = await azdo.getItemContent(repo.id, path, sourceCommit);
+      // An empty file is content too: only a missing one is skipped
+      if (newContent === null) {
+        skippedFiles.push({ path, reason: 'content not available' });
+        continue;
       }
       
-      if (fileDiff) {
-        diffContent += `\n### ${path}\n\`\`\`\n${fileDiff}\n\`\`\`\n`;
-      }
+      const oldContent = changeType === 'add' ? null : await azdo.getItemContent(repo.id, path, targetCommit);
+      const fileDiff = unifiedDiff(oldContent, newContent, CONTEXT_LINES);
+      addedLines += (fileDiff.match(/^\+/gm) || []).length;
+      
+      if (fileDiff) fileDiffs.push({ path, diff: fileDiff });
     }
     
-    console.log(`  ➕ ~${addedLines} lines changed`);
+    log(`  ➕ ~${addedLines} lines changed`);
     
-    if (!diffContent.trim()) {
-      console.log('\n  ⚠️  No significant changes found.\n');
-      process.exit(0);
+    if (!fileDiffs.length) {
+      log('\n  ⚠️  No significant changes found.\n');
+      if (options.json) writeJson(notReviewed(pr, repo, iterationId, 'no significant changes'));
+      return;
     }
     
-    console.log('  🤖 Reviewing...\n');
-    const result = await review(pr.title, diffContent, us);
+    // Large PRs are split across several LLM calls and merged into one review
+    const { chunks, skipped } = buildChunks(fileDiffs, { budget: TOKEN_BUDGET, maxChunks: MAX_CHUNKS });
+    skippedFiles.push(...skipped);
     
-    clipboard.writeSync(result);
+    const chunkResults = [];
+    for (const [i, chunk] of chunks.entries()) {
+      log(chunks.length > 1
+        ? `  🤖 Reviewing part ${i + 1}/${chunks.length} (${chunk.files.length} files)...`
+        : '  🤖 Reviewing...');
+      chunkResults.push(await review(pr.title, chunk.content, us));
+    }
+    log('');
     
-    console.log('─'.repeat(55));
-    console.log('\n' + result + '\n');
-    console.log('─'.repeat(55));
-    console.log('\n  ✅ Copied to clipboard!\n');
+    const merged = mergeReviews(chunkResults);
+    let result = renderReview(merged, { withAC: !!us });
     
-    // Parse issues from review
-    const issues = parseReviewIssues(result);
+    const reviewedFiles = [...new Set(chunks.flatMap(c => c.files))];
+    result = insertBeforeFooter(result, renderFileCoverage({ reviewed: reviewedFiles, skipped: skippedFiles }));
     
-    const answer = await askQuestion('  📤 Publish to PR? (y/n): ');
+    if (skipped.length) {
+      log(`  ⚠️  ${skipped.length} file(s) not fully reviewed (token budget). Raise PRREVIEW_MAX_CHUNKS to include them.\n`);
+    }
+    
+    if (options.clipboard) clipboard.writeSync(result);
+    
+    log('─'.repeat(55));
+    log('\n' + result + '\n');
+    log('─'.repeat(55));
+    if (options.clipboard) log('\n  ✅ Copied to clipboard!');
+    log('');
+    
+    // Issues that point at a line get their own thread
+    const issues = merged.issues.filter(issue => issue.file && issue.line);
     
-    if (answer === 'y' || answer === 'yes') {
-      console.log('\n  📤 Publishing...');
+    // Pipelines can't answer the prompt: they publish only with --publish/--yes
+    let votedAs = null;
+    const publish = options.publish || options.yes
+      || (options.interactive && ['y', 'yes'].includes(await askQuestion('  📤 Publish to PR? (y/n): ')));
+    
+    if (publish) {
+      log('\n  📤 Publishing...');
       
       // 1. Post general comment with full review
-      console.log('  📝 Posting general review...');
-      await postGeneralComment(repo.id, prId, result);
+      log('  📝 Posting general review...');
+      await postGeneralComment(repo.id, prId, withIterationMarker(result, iterationId));
+      
+      // 2. Post individual comments on each line, skipping issues already raised
+      const existingThreads = await loadThreads();
+      const matchedThreadIds = new Set();
       
-      // 2. Post individual comments on each line
       if (issues.length > 0) {
-        console.log(`  📍 Posting ${issues.length} line comments...`);
+        log(`  📍 Posting ${issues.length} line comments...`);
         
         for (const issue of issues) {
-          const fileInfo = findFileInfo(changes, issue.fileName);
+          const fileInfo = findFileInfo(changes, issue.file);
           
-          if (fileInfo) {
-            const commentContent = `**${issue.severity}** - ${issue.category}\n\n**Issue:** ${issue.issue}\n\n**Fix:** ${issue.fix}\n\n---\n*prreview*`;
+          const duplicate = fileInfo && findDuplicateThread(existingThreads, {
+            path: fileInfo.path,
+            line: issue.line,
+            text: `${issue.issue} ${issue.fix}`
+          });
+          
+          if (duplicate) {
+            matchedThreadIds.add(duplicate.id);
+            if (isPrreviewThread(duplicate) && isActiveThread(duplicate)) {
+              await azdo.replyToThread(repo.id, prId, duplicate.id, `Still present in iteration ${iterationId}.\n\n---\n${iterationMarker(iterationId)}`);
+              log(`     ↩ ${issue.file}:${issue.line} (still present - replied to existing thread)`);
+            } else {
+              log(`     ⏭ ${issue.file}:${issue.line} (already raised in thread #${duplicate.id})`);
+            }
+          } else if (fileInfo) {
+            const commentContent = `**${severityLabel(issue.severity)}** - ${issue.category}\n\n**Issue:** ${issue.issue}\n\n**Fix:** ${issue.fix}\n\n---\n${iterationMarker(iterationId)}`;
             
             try {
               await postLineComment(
@@ -547,29 +500,69 @@ async function main() {
                 iterationId,
                 fileInfo.changeTrackingId
               );
-              console.log(`     ✓ ${issue.fileName}:${issue.line}`);
+              log(`     ✓ ${issue.file}:${issue.line}`);
             } catch (err) {
               // If line comment fails, just log and continue
-              console.log(`     ⚠ ${issue.fileName}:${issue.line} (skipped - line may not be in diff)`);
+              log(`     ⚠ ${issue.file}:${issue.line} (skipped - line may not be in diff)`);
             }
           } else {
-            console.log(`     ⚠ ${issue.fileName}:${issue.line} (file not found in changes)`);
+            log(`     ⚠ ${issue.file}:${issue.line} (file not found in changes)`);
           }
         }
       }
       
-      console.log('\n  ✅ Review published!');
-      console.log(`  🔗 https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_git/${repo.name}/pullrequest/${prId}`);
+      // 3. Resolve earlier prreview threads whose code has since changed
+      const resolved = await resolveStaleThreads(repo.id, prId, existingThreads, matchedThreadIds, iters, iterationId, sourceCommit);
+      if (resolved.length > 0) {
+        log(`  🧹 Resolved ${resolved.length} outdated prreview thread(s):`);
+        resolved.forEach(r => log(`     ✓ ${r.path.split('/').pop()}:${r.line}`));
+      }
+      
+      // 4. Reviewer vote (opt-in)
+      if (vote) {
+        const { vote, label, guarded } = voteForReview(merged);
+        if (guarded) log('  🛡️  CRITICAL issues found - not approving');
+        try {
+          const user = await azdo.getAuthenticatedUser();
+          if (!user?.id) throw new Error('could not resolve the PAT user');
+          await azdo.setReviewerVote(repo.id, prId, user.id, vote);
+          votedAs = { vote, label };
+          log(`  🗳️  Vote: ${label}`);
+        } catch (err) {
+          log(`  ⚠️  Could not set vote: ${err.message}`);
+        }
+      }
+      
+      log('\n  ✅ Review published!');
+      log(`  🔗 https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_git/${repo.name}/pullrequest/${prId}`);
+    } else if (options.interactive) {
+      log('\n  ℹ️  Not published. Use clipboard.');
     } else {
-      console.log('\n  ℹ️  Not published. Use clipboard.');
+      log('  ℹ️  Not published (use --publish to publish from a pipeline)');
+    }
+    log('');
+    
+    if (options.json) {
+      writeJson({
+        pr: { id: pr.pullRequestId, title: pr.title, repo: repo.name, iteration: iterationId, sinceIteration: baseIteration },
+        reviewed: true,
+        workItem: us && { id: us.id, title: us.title },
+        ...merged,
+        files: { reviewed: reviewedFiles, skipped: skippedFiles },
+        published: Boolean(publish),
+        vote: votedAs,
+        markdown: result
+      });
     }
-    console.log('');
+    
+    if (merged.verdict === 'REQUEST CHANGES') process.exitCode = EXIT_CODES.CHECK_FAILED;
     
   } catch (e) {
     console.error(`  ❌ ${e.message}`);
-    console.log('\n  Check: PR exists, PAT has Code>Read/Write\n');
+    log('\n  Check: PR exists, PAT has Code>Read/Write\n');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor pr review"
+if (isMainModule(import.meta.url)) runCli(['pr', 'review', ...process.argv.slice(2)]);
@@ -0,0 +1,104 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAzDoClient, AzDoConflictError, AzDoError } from '../lib/azdo.js';
+
+const realFetch = globalThis.fetch;
+const azdo = createAzDoClient({ org: 'org', project: 'Project', pat: 'pat' });
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a failed /rev test on update is a conflict', async () => {
+  const calls = [];
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, body: JSON.parse(options.body) });
+    return new Response(JSON.stringify({ message: 'Test operation failed' }), { status: 412 });
+  };
+
+  await assert.rejects(
+    azdo.updateWorkItem(12, [{ op: 'test', path: '/rev', value: 7 }, { op: 'add', path: '/fields/System.Tags', value: 'x' }]),
+    AzDoConflictError
+  );
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].body[0], { op: 'test', path: '/rev', value: 7 });
+});
+
+test('resolves the PAT user with a preview connectionData version', async () => {
+  const urls = [];
+  globalThis.fetch = async url => {
+    urls.push(url);
+    return new Response(JSON.stringify({ authenticatedUser: { id: 'u1', providerDisplayName: 'Me' } }), { status: 200 });
+  };
+
+  assert.deepEqual(await azdo.getAuthenticatedUser(), { id: 'u1', providerDisplayName: 'Me' });
+  assert.equal(urls[0], 'https://dev.azure.com/org/_apis/connectionData?api-version=7.1-preview.1');
+});
+
+test('a rejected connectionData request fails without retrying', async () => {
+  let calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    return new Response(JSON.stringify({ message: 'The requested REST API version of 7.0 is out of range' }), { status: 400 });
+  };
+
+  await assert.rejects(azdo.getAuthenticatedUser(), err => {
+    assert.ok(err instanceof AzDoError);
+    assert.equal(err.status, 400);
+    assert.match(err.message, /GET 400: The requested REST API version/);
+    return true;
+  });
+  assert.equal(calls, 1);
+});
+
+test('no authenticated user in connectionData gives null', async () => {
+  globalThis.fetch = async () => new Response('{}', { status: 200 });
+  assert.equal(await azdo.getAuthenticatedUser(), null);
+});
+
+test('a POST is not sent again after a 5xx, a GET is', async () => {
+  const calls = [];
+  globalThis.fetch = async (url, options) => {
+    calls.push(options.method);
+    if (calls.length === 1 || options.method === 'POST') {
+      return new Response('{"message":"Service unavailable"}', { status: 503, headers: { 'Retry-After': '0' } });
+    }
+    return new Response('{"id":1}', { status: 200 });
+  };
+
+  assert.deepEqual(await azdo.getWorkItem(1), { id: 1 });
+  assert.deepEqual(calls, ['GET', 'GET']);
+
+  calls.length = 0;
+  await assert.rejects(azdo.addWorkItemComment(1, 'report'), err => err instanceof AzDoError && err.status === 503);
+  assert.deepEqual(calls, ['POST']);
+});
+
+test('a throttled POST is retried', async () => {
+  let calls = 0;
+  globalThis.fetch = async () => (++calls === 1
+    ? new Response('{}', { status: 429, headers: { 'Retry-After': '0' } })
+    : new Response('{"id":5}', { status: 200 }));
+
+  assert.deepEqual(await azdo.createWorkItem('Task', []), { id: 5 });
+  assert.equal(calls, 2);
+});
+
+test('reads every page of iteration changes', async () => {
+  const urls = [];
+  globalThis.fetch = async url => {
+    urls.push(url);
+    const skip = Number(new URL(url).searchParams.get('$skip'));
+    const count = skip === 0 ? 2000 : 3;
+    const changeEntries = Array.from({ length: count }, (_, i) => ({ changeId: skip + i + 1 }));
+    return new Response(JSON.stringify({ changeEntries }), { status: 200 });
+  };
+
+  const changes = await azdo.getIterationChanges('repo', 9, 4, 2);
+  assert.equal(changes.length, 2003);
+  assert.equal(changes[2002].changeId, 2003);
+  assert.deepEqual(urls.map(url => new URL(url).search), [
+    '?$top=2000&$skip=0&$compareTo=2&api-version=7.0',
+    '?$top=2000&$skip=2000&$compareTo=2&api-version=7.0'
+  ]);
+});
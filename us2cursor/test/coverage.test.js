@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCoverageMatrix, formatCoverageMatrix } from '../lib/coverage.js';
+
+const acs = [
+  { number: 1, text: 'The user sees the list of unread notifications' },
+  { number: 2, text: 'A spinner is shown while the list is fetched' }
+];
+
+const element = (type, name, extra = {}) => ({ screen: 'Inbox', type, name, ...extra });
+
+test('an AC covers an element by its meaningful words', () => {
+  const { rows, uncovered } = buildCoverageMatrix([
+    element('text', 'Unread notification'),
+    element('interactive', 'Button/Primary Archive all', { role: 'button' })
+  ], acs);
+
+  assert.deepEqual(rows.map(r => r.acs), [[1], []]);
+  assert.deepEqual(uncovered.map(r => r.name), ['Button/Primary Archive all']);
+});
+
+test('a state is covered by one of its synonyms', () => {
+  const { rows } = buildCoverageMatrix([element('state', 'Loading'), element('state', 'Empty')], acs);
+  assert.deepEqual(rows.map(r => r.acs), [[2], []]);
+});
+
+test('counts the elements beyond the matrix limit as omitted', () => {
+  const elements = Array.from({ length: 45 }, (_, i) => element('text', `Label ${i}`));
+  const matrix = buildCoverageMatrix(elements, acs);
+
+  assert.equal(matrix.rows.length, 40);
+  assert.equal(matrix.omitted, 5);
+  assert.match(formatCoverageMatrix(matrix), /^0 of 40 design elements covered by an AC \(5 more not checked\)/);
+});
+
+test('escapes pipes in the markdown table', () => {
+  const matrix = buildCoverageMatrix([{ screen: 'Inbox | Mobile', type: 'text', name: 'Read | Unread' }], acs);
+  assert.equal(formatCoverageMatrix(matrix).split('\n').pop(), '| Inbox \\| Mobile | Text "Read \\| Unread" | ❌ uncovered |');
+});
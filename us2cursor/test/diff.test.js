@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../lib/diff.js';
+
+test('a file emptied by the PR diffs as removed lines', () => {
+  assert.equal(unifiedDiff('a\nb\n', '', 3), '@@ -1,2 +0,0 @@\n-|a\n-|b');
+});
+
+test('a new empty file has no diff', () => {
+  assert.equal(unifiedDiff(null, '', 3), '');
+});
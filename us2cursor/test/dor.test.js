@@ -0,0 +1,126 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { evaluateRules, loadRules } from '../lib/dor.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'us2cursor-dor-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+afterEach(() => {
+  delete process.env.US2CHECK_RULES;
+});
+
+// Rules as loadRules gives them, from a US2CHECK_RULES file
+function rulesFrom(config) {
+  const path = join(dir, `rules-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(path, JSON.stringify(config));
+  process.env.US2CHECK_RULES = path;
+  return loadRules();
+}
+
+const workItem = (fields, relations = []) => ({
+  fields: {
+    'System.Title': 'Mark notifications as read',
+    'System.Description': '<div>Users can clear their inbox</div>',
+    'System.AreaPath': 'Shop\\Notifications',
+    'System.IterationPath': 'Shop',
+    'Microsoft.VSTS.Common.AcceptanceCriteria': '<ol><li>Given an unread notification When I open it Then it is marked as read</li><li>Unread count updates</li></ol>',
+    ...fields
+  },
+  relations
+});
+
+const outcomes = result => Object.fromEntries(result.rules.map(r => [r.id, r.passed]));
+
+test('evaluates every rule type', () => {
+  const rules = rulesFrom([
+    { type: 'field-set', field: 'description' },
+    { type: 'field-match', field: 'title', pattern: '^Mark ' },
+    { type: 'min-acs', min: 3 },
+    { type: 'ac-format' },
+    { type: 'ac-format', id: 'numbered', pattern: '\\w' },
+    { type: 'figma-link' },
+    { type: 'forbidden-text' }
+  ]);
+
+  assert.deepEqual(outcomes(evaluateRules(rules, workItem({}))), {
+    'field-set:description': true,
+    'field-match:title': true,
+    'min-acs': false,
+    'ac-format': false,
+    numbered: true,
+    'figma-link': false,
+    'forbidden-text': true
+  });
+
+  const linked = workItem({ 'System.Title': 'TBD' }, [{ rel: 'Hyperlink', url: 'https://www.figma.com/design/abc123/Inbox?node-id=1-2' }]);
+  assert.deepEqual(outcomes(evaluateRules(rules, linked)), {
+    'field-set:description': true,
+    'field-match:title': false,
+    'min-acs': false,
+    'ac-format': false,
+    numbered: true,
+    'figma-link': true,
+    'forbidden-text': false
+  });
+});
+
+test('ac-format reports the ACs that are not Given/When/Then', () => {
+  const [rule] = rulesFrom([{ type: 'ac-format' }]);
+  assert.equal(evaluateRules([rule], workItem({})).rules[0].detail, 'AC 2 not in format');
+  assert.equal(evaluateRules([rule], workItem({ 'Microsoft.VSTS.Common.AcceptanceCriteria': '' })).rules[0].detail, 'No ACs');
+});
+
+test('an unmarked Gherkin scenario, one step per line, is one valid AC', () => {
+  const rules = rulesFrom([{ type: 'ac-format' }, { type: 'min-acs', min: 2 }]);
+  const gherkin = workItem({
+    'Microsoft.VSTS.Common.AcceptanceCriteria': '<div>Given an unread notification</div><div>When I open it</div><div>Then it is marked as read</div>'
+  });
+
+  assert.deepEqual(evaluateRules(rules, gherkin).rules.map(r => [r.passed, r.detail]), [
+    [true, '1 ACs'],
+    [false, '1 of 2 ACs']
+  ]);
+});
+
+test('field-set treats the project root path and "not" values as unset', () => {
+  const rules = rulesFrom([
+    { type: 'field-set', field: 'areaPath' },
+    { type: 'field-set', field: 'iterationPath' },
+    { type: 'field-set', field: 'description', not: ['n/a', 'TBD'] }
+  ]);
+
+  const result = evaluateRules(rules, workItem({ 'System.Description': '<p>TBD</p>' }));
+  assert.deepEqual(result.rules.map(r => [r.passed, r.detail]), [
+    [true, 'Shop\\Notifications'],
+    [false, 'iterationPath is the project root (Shop)'],
+    [false, 'description is empty']
+  ]);
+});
+
+test('only a failed blocker fails the Definition of Ready', () => {
+  const rules = rulesFrom([
+    { type: 'field-set', field: 'description' },
+    { type: 'figma-link', severity: 'warning' }
+  ]);
+  assert.equal(evaluateRules(rules, workItem({})).passed, true);
+  assert.equal(evaluateRules(rules, workItem({ 'System.Description': '' })).passed, false);
+});
+
+test('loadRules fills in defaults and rejects malformed rules', () => {
+  assert.equal(loadRules(), null);
+  assert.deepEqual(rulesFrom({ rules: [{ type: 'min-acs', min: 2 }] }), [
+    { type: 'min-acs', min: 2, id: 'min-acs', description: 'At least 2 acceptance criteria', severity: 'blocker' }
+  ]);
+
+  assert.throws(() => rulesFrom({ type: 'min-acs' }), /must be an array/);
+  assert.throws(() => rulesFrom([{ type: 'nope' }]), /rule #1: unknown type "nope"/);
+  assert.throws(() => rulesFrom([{ type: 'field-set' }]), /rule #1 \(field-set\): "field" is required/);
+  assert.throws(() => rulesFrom([{ type: 'field-match', field: 'title' }]), /"field" and "pattern" are required/);
+  assert.throws(() => rulesFrom([{ type: 'min-acs', min: 0 }]), /"min" must be a positive integer/);
+  assert.throws(() => rulesFrom([{ type: 'figma-link', severity: 'high' }]), /severity must be "blocker" or "warning"/);
+
+  process.env.US2CHECK_RULES = join(dir, 'missing.json');
+  assert.throws(() => loadRules(), /Invalid Definition of Ready rules/);
+});
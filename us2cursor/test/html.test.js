@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown, parseAcceptanceCriteria } from '../lib/html.js';
+
+test('keeps Gherkin lines under numbered headings in their AC', () => {
+  const html = '<div>1. Login</div><div>Given a registered user</div><div>When they sign in</div><div>Then the home page opens</div>'
+    + '<div>2. Logout</div><div>Given a signed in user</div><div>When they sign out</div><div>Then the login page opens</div>';
+  assert.deepEqual(parseAcceptanceCriteria(html), [
+    { number: 1, text: 'Login Given a registered user When they sign in Then the home page opens' },
+    { number: 2, text: 'Logout Given a signed in user When they sign out Then the login page opens' }
+  ]);
+});
+
+test('bullets under "AC1:" labels are details of the AC', () => {
+  const html = '<div><b>AC1</b>: Login</div><div>Given x</div><div>- detail</div><div>AC2: Logout</div>';
+  assert.deepEqual(parseAcceptanceCriteria(html), [
+    { number: 1, text: 'Login Given x; detail' },
+    { number: 2, text: 'Logout' }
+  ]);
+});
+
+test('keeps prose before the first marker as an AC', () => {
+  assert.deepEqual(parseAcceptanceCriteria('<div>Price is 3.5 dollars</div><div>2) Second</div>'), [
+    { number: 1, text: 'Price is 3.5 dollars' },
+    { number: 2, text: 'Second' }
+  ]);
+  assert.deepEqual(parseAcceptanceCriteria('<p>Acceptance criteria:</p><ol><li>A</li><li>B</li></ol>'), [
+    { number: 1, text: 'A' },
+    { number: 2, text: 'B' }
+  ]);
+});
+
+test('numbers list items, nested items and explicit labels', () => {
+  assert.deepEqual(parseAcceptanceCriteria('<ol><li>Shows title</li><li>Logs in<ul><li>valid</li><li>invalid</li></ul></li></ol>'), [
+    { number: 1, text: 'Shows title' },
+    { number: 2, text: 'Logs in; valid; invalid' }
+  ]);
+  assert.deepEqual(parseAcceptanceCriteria('<ol start="3"><li>Third</li><li>Fourth</li></ol>').map(ac => ac.number), [3, 4]);
+  assert.deepEqual(parseAcceptanceCriteria('<div>AC1: A</div><div>AC2: B</div><div>AC4: D</div>').map(ac => ac.number), [1, 2, 4]);
+});
+
+test('one AC per table row or plain line', () => {
+  const table = '<table><tr><th>#</th><th>Criteria</th></tr><tr><td>1</td><td>Shows title</td></tr><tr><td>2</td><td>Logs in</td></tr></table>';
+  assert.deepEqual(parseAcceptanceCriteria(table), [{ number: 1, text: 'Shows title' }, { number: 2, text: 'Logs in' }]);
+  assert.deepEqual(parseAcceptanceCriteria('<div>Shows title</div><div>Logs in</div>').map(ac => ac.text), ['Shows title', 'Logs in']);
+  assert.deepEqual(parseAcceptanceCriteria(''), []);
+});
+
+test('converts lists, tables, links, images and entities to markdown', () => {
+  const html = '<div>Tom &amp; Jerry&nbsp;&lt;3</div><ul><li>Email<ul><li>required</li></ul></li></ul>'
+    + '<p>See <a href="https://x.com/spec">spec</a> <img src="a.png" alt="Login mock"></p>'
+    + '<table><tr><th>Field</th><th>Rule</th></tr><tr><td>Email</td><td>a|b</td></tr></table>';
+  assert.equal(htmlToMarkdown(html), [
+    'Tom & Jerry <3',
+    '',
+    '- Email',
+    '  - required',
+    '',
+    'See [spec](https://x.com/spec) [Image: Login mock]',
+    '',
+    '| Field | Rule |',
+    '| --- | --- |',
+    '| Email | a\\|b |'
+  ].join('\n'));
+});
+
+test('keeps out-of-range numeric entities as typed', () => {
+  assert.equal(htmlToMarkdown('a &#x110000; b &#99999999; c &#x41;'), 'a &#x110000; b &#99999999; c A');
+});
+
+test('an unmarked Given/When/Then scenario written one step per line is one AC', () => {
+  const html = '<div>Given a registered user</div><div>When they sign in</div><div>And the password is valid</div><div>Then the home page opens</div>'
+    + '<div>Given a signed in user</div><div>When they sign out</div><div>Then the login page opens</div>';
+  assert.deepEqual(parseAcceptanceCriteria(html), [
+    { number: 1, text: 'Given a registered user When they sign in And the password is valid Then the home page opens' },
+    { number: 2, text: 'Given a signed in user When they sign out Then the login page opens' }
+  ]);
+});
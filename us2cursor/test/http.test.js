@@ -0,0 +1,46 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { httpFetch } from '../lib/http.js';
+
+const realFetch = globalThis.fetch;
+const dirs = [];
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.US2CURSOR_RECORD;
+  while (dirs.length) rmSync(dirs.pop(), { recursive: true, force: true });
+});
+
+function cassetteDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'us2cursor-http-'));
+  dirs.push(dir);
+  return dir;
+}
+
+for (const status of [204, 304]) {
+  test(`records a ${status} response without a body`, async () => {
+    const dir = cassetteDir();
+    globalThis.fetch = async () => new Response(null, { status });
+    process.env.US2CURSOR_RECORD = dir;
+
+    const res = await httpFetch(`https://example.test/items/${status}`, { method: 'PATCH', body: '[]' });
+    assert.equal(res.status, status);
+    assert.equal(await res.text(), '');
+
+    const [file] = readdirSync(dir);
+    const { response } = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+    assert.equal(response.status, status);
+  });
+}
+
+test('records a response body', async () => {
+  const dir = cassetteDir();
+  globalThis.fetch = async () => new Response('{"id":1}', { status: 200, headers: { 'content-type': 'application/json' } });
+
+  process.env.US2CURSOR_RECORD = dir;
+  const res = await httpFetch('https://example.test/items/1');
+  assert.deepEqual(await res.json(), { id: 1 });
+});
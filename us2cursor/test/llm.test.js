@@ -0,0 +1,62 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkLLMConfig, getLLMConfig } from '../lib/llm.js';
+
+const VARS = [
+  'LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_MODEL', 'LLM_API_KEY', 'ANTHROPIC_API_KEY',
+  'PRREVIEW_LLM_PROVIDER', 'PRREVIEW_LLM_MODEL', 'US2B_LLM_MODEL',
+  'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT', 'AZURE_OPENAI_API_KEY'
+];
+
+afterEach(() => {
+  VARS.forEach(name => delete process.env[name]);
+});
+
+const ollamaGlobals = () => Object.assign(process.env, {
+  LLM_PROVIDER: 'ollama',
+  LLM_BASE_URL: 'http://localhost:11434',
+  LLM_MODEL: 'llama3',
+  LLM_API_KEY: 'global-key'
+});
+
+test('a command with its own provider ignores the global overrides', () => {
+  ollamaGlobals();
+  process.env.PRREVIEW_LLM_PROVIDER = 'anthropic';
+  process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+
+  const cfg = getLLMConfig('prreview');
+  assert.equal(cfg.provider, 'anthropic');
+  assert.equal(cfg.baseUrl, 'https://api.anthropic.com/v1');
+  assert.equal(cfg.model, 'claude-3-5-sonnet-latest');
+  assert.equal(cfg.apiKey, 'anthropic-key');
+
+  process.env.PRREVIEW_LLM_MODEL = 'claude-3-5-haiku-latest';
+  assert.equal(getLLMConfig('prreview').model, 'claude-3-5-haiku-latest');
+});
+
+test('a command without its own provider inherits the global settings', () => {
+  ollamaGlobals();
+  process.env.US2B_LLM_MODEL = 'qwen2.5';
+
+  const cfg = getLLMConfig('us2b');
+  assert.equal(cfg.provider, 'ollama');
+  assert.equal(cfg.baseUrl, 'http://localhost:11434');
+  assert.equal(cfg.model, 'qwen2.5');
+  assert.equal(getLLMConfig('us2f').model, 'llama3');
+});
+
+test('names the variables the provider and command actually read', () => {
+  process.env.LLM_PROVIDER = 'azure-openai';
+  process.env.AZURE_OPENAI_API_KEY = 'key';
+  assert.equal(checkLLMConfig('us2b'), 'Missing endpoint for Azure OpenAI (set AZURE_OPENAI_ENDPOINT or LLM_BASE_URL)');
+
+  process.env.AZURE_OPENAI_ENDPOINT = 'https://res.openai.azure.com';
+  assert.equal(checkLLMConfig('us2b'), 'Missing model for Azure OpenAI (set AZURE_OPENAI_DEPLOYMENT or LLM_MODEL)');
+
+  process.env.LLM_PROVIDER = 'groq';
+  process.env.PRREVIEW_LLM_PROVIDER = 'azure-openai';
+  process.env.AZURE_OPENAI_DEPLOYMENT = 'gpt-4o';
+  assert.equal(checkLLMConfig('prreview'), null);
+  delete process.env.AZURE_OPENAI_API_KEY;
+  assert.equal(checkLLMConfig('prreview'), 'Missing API key for Azure OpenAI (set AZURE_OPENAI_API_KEY or PRREVIEW_LLM_API_KEY)');
+});
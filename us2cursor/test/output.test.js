@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enableJsonOutput, log } from '../lib/output.js';
+
+test('log() writes to stdout, and to stderr once JSON output is on', t => {
+  const out = t.mock.method(console, 'log', () => {});
+  const err = t.mock.method(console, 'error', () => {});
+
+  log('banner');
+  assert.deepEqual(out.mock.calls.map(c => c.arguments), [['banner']]);
+
+  enableJsonOutput();
+  log('progress', 1);
+  assert.equal(out.mock.callCount(), 1);
+  assert.deepEqual(err.mock.calls.map(c => c.arguments), [['progress', 1]]);
+});
+
+test('JSON output does not replace console.log', () => {
+  const original = console.log;
+  enableJsonOutput();
+  assert.equal(console.log, original);
+});
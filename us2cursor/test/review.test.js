@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildChunks, extractJson, findDuplicateThread, findLastReviewedIteration, iterationMarker, mergeReviews,
+  validateReview, voteForReview, withIterationMarker
+} from '../lib/review.js';
+
+// "@@" hunk of `lines` added lines starting at line n
+const hunk = (n, lines) => `@@ -${n},${lines} +${n},${lines} @@\n${Array.from({ length: lines }, (_, i) => `+|line ${n + i} of code`).join('\n')}`;
+
+// Line thread on Service.cs:40 with a first comment (prreview's line comment format or a human's)
+const lineThread = (id, content, replies = []) => ({
+  id,
+  threadContext: { filePath: '/src/Service.cs', rightFileStart: { line: 40 } },
+  comments: [{ content }, ...replies.map(r => ({ content: r }))]
+});
+
+const prreviewComment = (issue, fix) =>
+  `**🔴 CRITICAL** - Bugs\n\n**Issue:** ${issue}\n\n**Fix:** ${fix}\n\n---\n${iterationMarker(3)}`;
+
+const issue = {
+  path: '/src/Service.cs',
+  line: 41,
+  text: 'Null reference when the customer has no orders Check orders collection before iterating'
+};
+
+test('matches a prreview thread raising the same issue, even after replies', () => {
+  const thread = lineThread(7, prreviewComment('Null reference when the customer has no orders', 'Check orders collection before iterating'), [
+    `Still present in iteration 4.\n\n---\n${iterationMarker(4)}`,
+    `Still present in iteration 5.\n\n---\n${iterationMarker(5)}`
+  ]);
+  assert.equal(findDuplicateThread([thread], issue)?.id, 7);
+});
+
+test('never matches human threads, short comments or another issue on the line', () => {
+  const threads = [
+    lineThread(1, 'typo'),
+    lineThread(2, 'Null reference when the customer has no orders, check the collection first'),
+    lineThread(3, prreviewComment('Method name typo', 'Rename')),
+    lineThread(4, prreviewComment('Orders query runs inside a loop', 'Load orders once with a join'))
+  ];
+  assert.equal(findDuplicateThread(threads, issue), null);
+});
+
+test('stamps the review footer with the iteration marker', () => {
+  assert.equal(withIterationMarker('## Code Review\n\n---\n*prreview*', 4), '## Code Review\n\n---\n*prreview · iteration 4*');
+  assert.equal(withIterationMarker('## Code Review', 4), '## Code Review\n\n---\n*prreview · iteration 4*');
+});
+
+test('finds the last reviewed iteration from prreview markers only', () => {
+  const iterations = [
+    { id: 1, createdDate: '2026-01-01T10:00:00Z' },
+    { id: 2, createdDate: '2026-01-02T10:00:00Z' },
+    { id: 3, createdDate: '2026-01-03T10:00:00Z' }
+  ];
+  const threads = [
+    { comments: [{ content: `review\n---\n${iterationMarker(1)}` }] },
+    // Old footer without a number: the line comment context tells the iteration
+    { pullRequestThreadContext: { iterationContext: { secondComparingIteration: 2 } }, comments: [{ content: '*prreview*' }] },
+    { isDeleted: true, comments: [{ content: iterationMarker(3) }] },
+    { comments: [{ content: 'Reviewed iteration 3 by hand' }] }
+  ];
+
+  assert.equal(findLastReviewedIteration(threads, iterations), 2);
+  // Neither a number nor a context: the last iteration published before the comment
+  assert.equal(findLastReviewedIteration([{ comments: [{ content: '*prreview*', publishedDate: '2026-01-03T12:00:00Z' }] }], iterations), 3);
+  assert.equal(findLastReviewedIteration([], iterations), null);
+});
+
+test('packs small files together and starts a new chunk at the budget', () => {
+  const { chunks, skipped } = buildChunks([
+    { path: 'A.cs', diff: hunk(1, 1) },
+    { path: 'B.cs', diff: hunk(5, 1) },
+    { path: 'C.cs', diff: hunk(1, 4) }
+  ], { budget: 40, maxChunks: 5 });
+
+  assert.deepEqual(chunks.map(c => c.files), [['A.cs', 'B.cs'], ['C.cs']]);
+  assert.deepEqual(skipped, []);
+});
+
+test('splits an oversized file at hunk boundaries, and a single oversized hunk at lines', () => {
+  const { chunks } = buildChunks([
+    { path: 'Big.cs', diff: [hunk(1, 4), hunk(20, 4)].join('\n') },
+    { path: 'Huge.cs', diff: hunk(1, 12) }
+  ], { budget: 40, maxChunks: 10 });
+
+  const headers = chunks.map(c => c.content.match(/^### (.*)$/m)[1]);
+  assert.deepEqual(headers.slice(0, 2), ['Big.cs (part 1/2)', 'Big.cs (part 2/2)']);
+  assert.match(chunks[1].content, /^@@ -20,4 \+20,4 @@$/m);
+  // 12 lines of ~4 tokens don't fit in 40 tokens: several parts, each cut between lines
+  assert.ok(headers.length > 3);
+  assert.ok(headers.slice(2).every(h => /^Huge\.cs \(part \d+\/\d+\)$/.test(h)));
+  assert.ok(chunks.slice(2).every(c => /```\n(\+\|line \d+ of code\n|@@.*@@\n)+```/.test(c.content)));
+});
+
+test('files that do not fit in the last chunk are skipped, not listed as reviewed', () => {
+  const { chunks, skipped } = buildChunks([
+    { path: 'A.cs', diff: hunk(1, 1) },
+    { path: 'Big.cs', diff: [hunk(1, 4), hunk(20, 4), hunk(40, 4)].join('\n') },
+    { path: 'C.cs', diff: hunk(1, 2) }
+  ], { budget: 40, maxChunks: 3 });
+
+  assert.equal(chunks.length, 3);
+  assert.deepEqual(chunks.flatMap(c => c.files), ['A.cs']);
+  assert.deepEqual(skipped, [
+    { path: 'Big.cs', reason: 'partially reviewed: 2/3 parts, token budget exhausted' },
+    { path: 'C.cs', reason: 'token budget exhausted' }
+  ]);
+});
+
+test('extracts JSON from fences and prose, repairing trailing commas and smart quotes', () => {
+  assert.deepEqual(extractJson('```json\n{"verdict": "APPROVE"}\n```'), { verdict: 'APPROVE' });
+  assert.deepEqual(extractJson('Here is the review:\n{"good": ["Clear names",], "verdict": “APPROVE”}\nThanks'), {
+    good: ['Clear names'],
+    verdict: 'APPROVE'
+  });
+  assert.throws(() => extractJson('No issues found.'), SyntaxError);
+  assert.throws(() => extractJson('{"verdict": APPROVE}'), SyntaxError);
+});
+
+test('validation normalizes entries and reports the invalid ones', () => {
+  const { review, errors } = validateReview({
+    good: ['Small methods', ''],
+    issues: [
+      { severity: 'critical', category: 'security', file: 'src/Api/Query.cs', line: '12', issue: 'SQL | injection', fix: 'Use parameters' },
+      { severity: 'BLOCKER', file: 'Query.cs', line: 0, issue: '' },
+      { severity: 'MINOR', file: 'Mapper.cs', line: 3, issue: 'Unused using' }
+    ],
+    acCoverage: [{ ac: 'AC2', status: '✅ Covered', description: 'Login' }, { ac: 3, status: 'maybe' }],
+    verdict: 'request_changes'
+  }, { withAC: true });
+
+  assert.deepEqual(review, {
+    good: ['Small methods'],
+    issues: [
+      { severity: 'CRITICAL', category: 'Security', file: 'Query.cs', line: 12, issue: 'SQL / injection', fix: 'Use parameters' },
+      { severity: 'MINOR', category: 'BestPractices', file: 'Mapper.cs', line: 3, issue: 'Unused using', fix: '' }
+    ],
+    missingTests: [],
+    acCoverage: [{ ac: 2, description: 'Login', status: 'covered', where: '-' }],
+    verdict: 'REQUEST CHANGES'
+  });
+  assert.deepEqual(errors, [
+    'issues[1].severity must be one of CRITICAL, IMPORTANT, MINOR',
+    'issues[1].line must be a positive integer',
+    'issues[1].issue is required',
+    'acCoverage[1].status must be covered, partial or missing'
+  ]);
+
+  assert.deepEqual(validateReview([], { withAC: false }), { review: null, errors: ['Response must be a JSON object'] });
+  assert.deepEqual(validateReview({ issues: 'none' }, { withAC: true }).errors, [
+    '"issues" must be an array',
+    '"acCoverage" must be an array',
+    '"verdict" must be one of APPROVE, APPROVE WITH COMMENTS, REQUEST CHANGES'
+  ]);
+});
+
+test('merging chunk reviews dedupes issues, keeps the best AC status and the harshest verdict', () => {
+  const issue = (severity, file, line, text) => ({ severity, category: 'Bugs', file, line, issue: text, fix: '' });
+  const merged = mergeReviews([
+    {
+      good: ['Tests'], issues: [issue('MINOR', 'A.cs', 1, 'Naming'), issue('IMPORTANT', 'A.cs', 5, 'Null check')],
+      missingTests: ['A.Run'], acCoverage: [{ ac: 1, description: 'Login', status: 'missing', where: '-' }], verdict: 'APPROVE'
+    },
+    {
+      good: ['Tests'], issues: [issue('IMPORTANT', 'A.cs', 5, 'null check')],
+      missingTests: ['A.Run', 'B.Run'], acCoverage: [{ ac: 1, description: '', status: 'covered', where: 'Auth.Login' }], verdict: 'APPROVE'
+    }
+  ]);
+
+  assert.deepEqual(merged, {
+    good: ['Tests'],
+    issues: [issue('IMPORTANT', 'A.cs', 5, 'Null check'), issue('MINOR', 'A.cs', 1, 'Naming')],
+    missingTests: ['A.Run', 'B.Run'],
+    acCoverage: [{ ac: 1, description: 'Login', status: 'covered', where: 'Auth.Login' }],
+    // Both chunks approved, but an IMPORTANT issue can't be a plain approval
+    verdict: 'APPROVE WITH COMMENTS'
+  });
+  assert.equal(mergeReviews([{ ...merged, issues: [issue('CRITICAL', 'B.cs', 2, 'Crash')], verdict: 'APPROVE' }]).verdict, 'REQUEST CHANGES');
+});
+
+test('maps the verdict to a reviewer vote and never approves with CRITICAL issues', () => {
+  const critical = [{ severity: 'CRITICAL', file: 'A.cs', line: 1, issue: 'Crash' }];
+  assert.deepEqual(voteForReview({ verdict: 'APPROVE', issues: [] }), { vote: 10, label: 'Approved', guarded: false });
+  assert.deepEqual(voteForReview({ verdict: 'APPROVE WITH COMMENTS', issues: [] }), { vote: 5, label: 'Approved with suggestions', guarded: false });
+  assert.deepEqual(voteForReview({ verdict: 'REQUEST CHANGES', issues: critical }), { vote: -5, label: 'Waiting for author', guarded: false });
+  assert.deepEqual(voteForReview({ verdict: 'APPROVE WITH COMMENTS', issues: critical }), { vote: -5, label: 'Waiting for author', guarded: true });
+  assert.deepEqual(voteForReview({ verdict: 'UNKNOWN', issues: [] }), { vote: 0, label: 'No vote', guarded: false });
+});
@@ -0,0 +1,52 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { scaffoldCSharp } from '../lib/scaffold.js';
+
+const root = mkdtempSync(join(tmpdir(), 'us2cursor-scaffold-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+// src/App uses implicit usings, tests/App.Tests does not
+function solution(name) {
+  const dir = join(root, name);
+  mkdirSync(join(dir, 'src', 'App'), { recursive: true });
+  mkdirSync(join(dir, 'tests', 'App.Tests'), { recursive: true });
+  writeFileSync(join(dir, 'src', 'App', 'App.csproj'), '<Project><PropertyGroup><ImplicitUsings>enable</ImplicitUsings></PropertyGroup></Project>');
+  writeFileSync(join(dir, 'tests', 'App.Tests', 'App.Tests.csproj'), '<Project><ItemGroup><PackageReference Include="xunit" /></ItemGroup></Project>');
+  return dir;
+}
+
+const spec = behavior => ({
+  operations: [{
+    kind: 'mutation',
+    name: 'MarkAsRead',
+    input: 'record MarkAsReadInput(Guid NotificationId)',
+    returns: 'record MarkAsReadPayload(bool Success)',
+    behavior,
+    rules: ['User must own the notification']
+  }]
+});
+
+test('service interface documents the contract when the spec has no behavior', () => {
+  const dir = solution('no-behavior');
+  scaffoldCSharp(spec([]), join(dir, 'src', 'App'));
+
+  const service = readFileSync(join(dir, 'src', 'App', 'IMarkAsReadService.cs'), 'utf8');
+  assert.doesNotMatch(service, /TODO/);
+  assert.match(service, /\/\/\/ MarkAsRead: Runs the MarkAsRead mutation for a MarkAsReadInput and returns MarkAsReadPayload/);
+});
+
+test('usings follow the ImplicitUsings setting of the project each file is written into', () => {
+  const dir = solution('usings');
+  scaffoldCSharp(spec(['Marks the notification as read']), join(dir, 'src', 'App'));
+
+  const service = readFileSync(join(dir, 'src', 'App', 'IMarkAsReadService.cs'), 'utf8');
+  assert.match(service, /\/\/\/ MarkAsRead: Marks the notification as read/);
+  assert.doesNotMatch(service, /using System;/);
+
+  const tests = readFileSync(join(dir, 'tests', 'App.Tests', 'MarkAsReadTests.cs'), 'utf8');
+  assert.match(tests, /^using System;$/m);
+  assert.match(tests, /^using Xunit;$/m);
+});
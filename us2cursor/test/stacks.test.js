@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterUiLines, getStack, validateStackOutput } from '../lib/stacks.js';
+
+const multiSpec = `Types:
+- record NotificationView(Guid Id, string DisplayName, bool IsEnabled)
+
+Enums:
+- none
+
+Query: GetOrdersPage
+- Input: record GetOrdersPageInput(int Page, int PageSize)
+- Returns: [NotificationView]
+- Behavior: Read the Table of orders for the user
+- Rules: Show the button only to admins
+- AC: 1, 2`;
+
+test('multi mode keeps headers, signatures, types and data words', () => {
+  const stack = getStack('hotchocolate');
+  const cleaned = filterUiLines(stack, multiSpec, { multi: true });
+
+  assert.equal(cleaned, multiSpec.replace('- Rules: Show the button only to admins\n', ''));
+  assert.equal(validateStackOutput(stack, cleaned, { multi: true }).isValid, true);
+});
+
+test('single mode matches whole words only and keeps signature fields', () => {
+  const stack = getStack('hotchocolate');
+  const spec = `Mutation:
+- Name: ToggleView
+- Input: record ToggleViewInput(Guid Id, bool IsEnabled)
+- Returns: record ToggleViewPayload(bool Success)
+
+Behavior:
+- Update the Table row
+- Display a modal with the result`;
+
+  assert.equal(filterUiLines(stack, spec), spec.replace('\n- Display a modal with the result', ''));
+});
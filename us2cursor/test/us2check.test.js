@@ -0,0 +1,60 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { publishReport } from '../us2check.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Work item server where every write (patch or comment) is a new revision and patches honor the /rev test
+function fakeWorkItem(workItem) {
+  const calls = [];
+  globalThis.fetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    if (options.method === 'POST') {
+      calls.push('comment');
+      workItem.rev++;
+      return new Response(JSON.stringify({ id: 1 }), { status: 200 });
+    }
+
+    const revTest = body.find(op => op.op === 'test' && op.path === '/rev');
+    if (revTest && revTest.value !== workItem.rev) {
+      calls.push('conflict');
+      return new Response(JSON.stringify({ message: 'Test operation failed' }), { status: 412 });
+    }
+    for (const op of body.filter(o => o.op === 'add')) {
+      workItem.fields[op.path.replace('/fields/', '')] = op.value;
+    }
+    calls.push(body[1].path.replace('/fields/', ''));
+    workItem.rev++;
+    return new Response(JSON.stringify(workItem), { status: 200 });
+  };
+  return calls;
+}
+
+test('publishing tags and drafts ACs before the comment adds a revision', async () => {
+  const workItem = { id: 42, rev: 7, fields: { 'System.Tags': 'ready-for-dev', 'Microsoft.VSTS.Common.AcceptanceCriteria': '<div>1. Login</div>' } };
+  const calls = fakeWorkItem(structuredClone(workItem));
+
+  const result = await publishReport(
+    workItem,
+    '## Status: INCOMPLETE',
+    { status: 'INCOMPLETE', suggestedAcs: ['AC#2: Logout'] },
+    { publish: true, draftAcs: true, interactive: false }
+  );
+
+  assert.deepEqual(calls, ['System.Tags', 'Microsoft.VSTS.Common.AcceptanceCriteria', 'comment']);
+  assert.deepEqual(result, { published: true, tag: 'needs-refinement', draftAcs: 1 });
+});
+
+test('a story edited meanwhile is still commented but not patched', async () => {
+  const workItem = { id: 42, rev: 7, fields: { 'System.Tags': '' } };
+  const calls = fakeWorkItem({ ...structuredClone(workItem), rev: 8 });
+
+  const result = await publishReport(workItem, '## Status: COMPLETE', { status: 'COMPLETE', suggestedAcs: [] }, { publish: true, interactive: false });
+
+  assert.deepEqual(calls, ['conflict', 'comment']);
+  assert.deepEqual(result, { published: true, tag: null, draftAcs: 0 });
+});
@@ -1,256 +1,229 @@
 #!/usr/bin/env node
 
 import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
-
-// Cargar .env desde el directorio del script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+import { basename, relative } from 'path';
+import { chat, checkLLMConfig, describeLLM } from './lib/llm.js';
+import { createAzDoClient } from './lib/azdo.js';
+import { loadEnv, isMainModule } from './lib/env.js';
+import { log, writeJson } from './lib/output.js';
+import { parseBackendSpec, parseMultiSpec } from './lib/spec.js';
+import { getStack, filterUiLines, validateStackOutput, DEFAULT_STACK } from './lib/stacks.js';
+import { getSetting } from './lib/config.js';
+import { scaffoldCSharp } from './lib/scaffold.js';
+import { formatAcceptanceCriteria, htmlToMarkdown, parseAcceptanceCriteria } from './lib/html.js';
+import { runCli } from './us2cursor.js';
+
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 // === CONFIGURACIÓN ===
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
+const LLM_ERROR = checkLLMConfig('us2b');
 
 // Validar configuración
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Error: Missing environment variables in .env');
-  console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  process.exit(1);
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Error: Missing environment variables in .env');
+    console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    process.exit(1);
+  }
 }
 
 // === AZURE DEVOPS ===
-async function getWorkItem(id) {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/wit/workitems/${id}?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(`Error ${res.status}: ${res.statusText}\n${errorText}`);
-  }
-
-  return res.json();
-}
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
 function extractFields(workItem) {
   const f = workItem.fields;
+  const acs = parseAcceptanceCriteria(f['Microsoft.VSTS.Common.AcceptanceCriteria']);
   return {
     id: workItem.id,
     title: f['System.Title'] || '',
-    description: (f['System.Description'] || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
-    acceptanceCriteria: (f['Microsoft.VSTS.Common.AcceptanceCriteria'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim()
+    description: htmlToMarkdown(f['System.Description']),
+    acs,
+    acceptanceCriteria: formatAcceptanceCriteria(acs)
   };
 }
 
 // === POST-PROCESSOR ===
-function cleanOutput(text) {
+function cleanOutput(text, stack, mode) {
   text = text.replace(/^(Here is|Here's|The following|Below is|I've extracted)[^\n]*\n*/gi, '');
-  text = text.replace(/```csharp\s*```/g, '');
+  text = text.replace(/```[a-z]*\s*```/g, '');
   text = text.replace(/```[a-z]*\n?/gi, '');
   text = text.replace(/```/g, '');
   
-  const UI_KEYWORDS = [
-    'click', 'button', 'modal', 'icon', 'display', 'show', 'figma', 
-    'tab', 'scroll', 'view', 'disabled', 'enabled', 'visible', 'hidden',
-    'screen', 'page', 'navigate', 'hover', 'dropdown', 'popup', 'tooltip'
-  ];
-  
-  const lines = text.split('\n');
-  const filtered = lines.filter(line => {
-    const lower = line.toLowerCase();
-    return !UI_KEYWORDS.some(kw => lower.includes(kw));
-  });
-  
-  return filtered.join('\n').trim();
-}
-
-// === OUTPUT VALIDATOR ===
-function validateOutput(text) {
-  const issues = [];
-  
-  if (!text.includes('Mutation:')) issues.push('Missing "Mutation:" section');
-  if (!text.includes('- Name:')) issues.push('Missing "- Name:" in Mutation');
-  if (!text.includes('- Input:')) issues.push('Missing "- Input:" in Mutation');
-  if (!text.includes('- Returns:')) issues.push('Missing "- Returns:" in Mutation');
-  if (!text.includes('Behavior:')) issues.push('Missing "Behavior:" section');
-  if (!text.includes('Rules:')) issues.push('Missing "Rules:" section');
-  if (!text.includes('AC:')) issues.push('Missing "AC:" section');
-  
-  if (text.endsWith('-') || text.endsWith(':') || text.endsWith(',')) {
-    issues.push('Output appears to be truncated');
-  }
-  
-  const recordMatches = text.match(/record \w+\([^)]*$/gm);
-  if (recordMatches) issues.push('Incomplete record (missing closing parenthesis)');
-  
-  return { isValid: issues.length === 0, issues };
+  return filterUiLines(stack, text, mode).trim();
 }
 
-// === GROQ COMPILER ===
-const COMPILE_PROMPT = `Extract the PRIMARY backend mutation from this user story. Output ONLY the spec, no intro text.
-ALL OUTPUT MUST BE IN ENGLISH.
-
-RULES:
-- ONE mutation only (the main operation)
-- BACKEND ONLY (database, API, business logic)
-- IGNORE all UI (clicks, buttons, modals, display)
-- C# types: Guid, string, int, bool
-- Max 3 items per section
-- MUST include AC section at the end
-
-EXACT FORMAT (no deviations):
-
-Mutation:
-- Name: <PascalCase>
-- Input: record <n>(Guid Field, string Field)
-- Returns: record <n>(Guid Id, bool Success)
-
-Behavior:
-- <data operation 1>
-- <data operation 2>
-
-Rules:
-- <business rule 1>
-- <business rule 2>
-
-AC: <list AC numbers this covers, e.g., 1, 2, 5>
-
-MANDATORY: Always end with "AC:" followed by the acceptance criteria numbers covered.
-NO intro text. NO code blocks. NO explanations. ONLY the spec above. ALL IN ENGLISH.`;
-
-async function compileToSpec(story, retryCount = 0) {
-  const userMessage = `${COMPILE_PROMPT}
+// === LLM COMPILER ===
+/**
+ * @param {{multi?: boolean}} [mode] - multi: every operation instead of the primary one
+ */
+async function compileToSpec(story, stack, mode = {}, retryCount = 0) {
+  const userMessage = `${mode.multi ? stack.multiPrompt : stack.prompt}
 
 Title: ${story.title}
-Description: ${story.description}
-Acceptance Criteria: ${story.acceptanceCriteria}`;
 
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${GROQ_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [{ role: 'user', content: userMessage }],
-      max_tokens: 300,
-      temperature: 0.05
-    })
-  });
+Description:
+${story.description}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Groq API Error ${response.status}: ${errorText}`);
-  }
+Acceptance Criteria:
+${story.acceptanceCriteria}`;
 
-  const data = await response.json();
-  let result = data.choices[0].message.content;
+  let result = await chat('us2b', [{ role: 'user', content: userMessage }], {
+    maxTokens: mode.multi ? 1200 : 300,
+    temperature: 0.05
+  });
   
-  result = cleanOutput(result);
-  const validation = validateOutput(result);
+  result = cleanOutput(result, stack, mode);
+  const validation = validateStackOutput(stack, result, mode);
   
   if (!validation.isValid) {
-    if (validation.issues.length === 1 && validation.issues[0] === 'Missing "AC:" section') {
+    if (!mode.multi && validation.issues.length === 1 && validation.issues[0] === 'Missing "AC:" section') {
       result += '\n\nAC: (verify manually)';
     } else if (validation.issues.some(i => i.includes('truncated') || i.includes('incomplete')) && retryCount < 1) {
-      console.log('  ⚠️  Incomplete output, retrying...');
-      return compileToSpec(story, retryCount + 1);
+      log('  ⚠️  Incomplete output, retrying...');
+      return compileToSpec(story, stack, mode, retryCount + 1);
     }
   }
   
   return { result, validation };
 }
 
+// === SCAFFOLDING ===
+// Both spec modes as a list of operations for lib/scaffold.js
+function toScaffoldSpec(spec, mode) {
+  if (mode.multi) return parseMultiSpec(spec);
+
+  const { mutation, behavior, rules } = parseBackendSpec(spec);
+  return {
+    operations: [{ kind: 'mutation', name: mutation.name, input: mutation.input, returns: mutation.returns, behavior, rules }]
+  };
+}
+
+function printScaffold({ project, namespace, files, warnings }) {
+  log(`  🏗️  Scaffolded ${namespace}${project ? ` (${basename(project)})` : ''}:`);
+  files.forEach(f => log(`     ${f.created ? '✓' : '⏭'} ${relative(process.cwd(), f.path)}${f.created ? '' : ' (exists)'}`));
+  warnings.forEach(w => log(`  ⚠️  ${w}`));
+  log('');
+}
+
 // === HELPERS ===
-function printHeader() {
-  console.log('');
-  console.log('╔═══════════════════════════════════════════════════════╗');
-  console.log('║   US2CURSOR - Azure DevOps → HotChocolate (Backend)   ║');
-  console.log('╚═══════════════════════════════════════════════════════╝');
-  console.log('');
+function printHeader(stack) {
+  log('');
+  log('╔═══════════════════════════════════════════════════════╗');
+  log(`║   ${`US2CURSOR - Azure DevOps → ${stack.label} (Backend)`.padEnd(52)}║`);
+  log('╚═══════════════════════════════════════════════════════╝');
+  log('');
 }
 
 function printDivider() {
-  console.log('─'.repeat(55));
+  log('─'.repeat(55));
 }
 
-// === MAIN ===
-async function main() {
-  const workItemId = process.argv[2];
-
-  printHeader();
+// Operation → AC map of a --multi spec
+function printOperations({ operations, types, enums }) {
+  log('');
+  log(`  🧩 ${operations.length} operation(s), ${types.length} type(s), ${enums.length} enum(s):`);
+  for (const op of operations) {
+    log(`     ${op.kind.padEnd(12)} ${(op.name || '?').padEnd(28)} AC: ${op.ac.join(', ') || '-'}`);
+  }
+}
 
-  if (!workItemId) {
-    console.log('  Usage: us2b <work-item-id>');
-    console.log('');
-    console.log('  Examples:');
-    console.log('    us2b 12345');
-    console.log('    us2b 67890');
-    console.log('');
-    console.log('  Stack: HotChocolate GraphQL (Backend only)');
-    console.log('');
+// === MAIN ===
+/**
+ * Stack: --stack, then US2B_STACK, then "us2b.stack" in .us2cursor.json, then hotchocolate
+ * @param {{workItemId: string, stack?: string, multi?: boolean, scaffold?: string, json?: boolean, clipboard: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { workItemId } = options;
+  checkConfig();
+  
+  let stack;
+  try {
+    stack = getStack(options.stack || getSetting('us2b', 'stack') || DEFAULT_STACK);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (options.multi && !stack.multiPrompt) {
+    console.error(`❌ Error: --multi extracts GraphQL operations and is not available for the ${stack.name} stack`);
     process.exit(1);
   }
+  if (options.scaffold && stack.name !== 'hotchocolate') {
+    console.error(`❌ Error: --scaffold generates HotChocolate C# code and is not available for the ${stack.name} stack`);
+    process.exit(1);
+  }
+  const mode = { multi: Boolean(options.multi) };
+  printHeader(stack);
 
   try {
-    console.log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
-    const workItem = await getWorkItem(workItemId);
+    log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
+    const workItem = await azdo.getWorkItem(workItemId);
     const story = extractFields(workItem);
     
-    console.log(`  📋 "${story.title}"`);
-    console.log(`  ⚙️  Extracting backend spec with Groq (70B)...`);
-    console.log('');
+    log(`  📋 "${story.title}"`);
+    log(`  ⚙️  Extracting ${stack.label} ${mode.multi ? 'operations' : 'spec'} with ${describeLLM('us2b')}...`);
+    log('');
     
-    const { result: spec, validation } = await compileToSpec(story);
+    const { result: spec, validation } = await compileToSpec(story, stack, mode);
     
-    clipboard.writeSync(spec);
+    if (options.clipboard) clipboard.writeSync(spec);
     
-    console.log('  ✅ Spec copied to clipboard!');
+    log(options.clipboard ? '  ✅ Spec copied to clipboard!' : '  ✅ Spec ready!');
     
     if (!validation.isValid) {
-      console.log('');
-      console.log('  ⚠️  Warnings:');
-      validation.issues.forEach(issue => console.log(`     - ${issue}`));
+      log('');
+      log('  ⚠️  Warnings:');
+      validation.issues.forEach(issue => log(`     - ${issue}`));
     }
     
-    console.log('');
+    if (mode.multi) printOperations(parseMultiSpec(spec));
+    
+    log('');
     printDivider();
-    console.log(spec);
+    log(spec);
     printDivider();
-    console.log('');
-    console.log('  👉 Paste in Cursor Chat (Ctrl+V) and press Enter');
-    console.log('');
+    log('');
+    if (options.clipboard) log('  👉 Paste in Cursor Chat (Ctrl+V) and press Enter');
+    log('');
+    
+    let scaffold = null;
+    if (options.scaffold) {
+      if (validation.isValid) {
+        scaffold = scaffoldCSharp(toScaffoldSpec(spec, mode), options.scaffold);
+        printScaffold(scaffold);
+      } else {
+        log('  ⚠️  Not scaffolded: fix the spec warnings first\n');
+      }
+    }
+    
+    if (options.json) {
+      writeJson({
+        workItem: { id: story.id, title: story.title, acceptanceCriteria: story.acs },
+        stack: stack.name,
+        multi: mode.multi,
+        spec: mode.multi ? parseMultiSpec(spec) : parseBackendSpec(spec, stack.operation),
+        text: spec,
+        scaffold,
+        warnings: validation.issues
+      });
+    }
     
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`);
-    console.log('');
-    console.log('  Possible causes:');
-    console.log('    - Work Item does not exist');
-    console.log('    - PAT expired or missing permissions');
-    console.log('    - Incorrect project');
-    console.log('    - Invalid Groq API Key');
-    console.log('');
+    log('');
+    log('  Possible causes:');
+    log('    - Work Item does not exist');
+    log('    - PAT expired or missing permissions');
+    log('    - Incorrect project');
+    log('    - Invalid LLM API key or provider settings');
+    log('');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor spec be"
+if (isMainModule(import.meta.url)) runCli(['spec', 'be', ...process.argv.slice(2)]);
@@ -1,39 +1,38 @@
 #!/usr/bin/env node
 
 import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
+import { writeFileSync } from 'fs';
 import * as readline from 'readline';
-import { fetchFigmaContent, isFigmaUrl } from './lib/figma.js';
-
-// Cargar .env desde el directorio del script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+import { describeFigmaInput, isFigmaUrl, loadComponentMap, mergeComponents } from './lib/figma.js';
+import { chat, checkLLMConfig, describeLLM } from './lib/llm.js';
+import { createAzDoClient, AzDoConflictError } from './lib/azdo.js';
+import { buildCoverageMatrix, formatCoverageMatrix, seedSuggestedAcs } from './lib/coverage.js';
+import { formatAcceptanceCriteria, htmlToMarkdown, parseAcceptanceCriteria } from './lib/html.js';
+import { loadEnv, isMainModule, EXIT_CODES } from './lib/env.js';
+import { log, writeJson } from './lib/output.js';
+import { getSetting } from './lib/config.js';
+import { evaluateRules, formatRuleResults, loadRules } from './lib/dor.js';
+import { runCli } from './us2cursor.js';
+
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 // === CONFIGURACIÓN ===
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
 const FIGMA_PAT = process.env.FIGMA_PAT; // Optional - for fetching Figma content
+const LLM_ERROR = checkLLMConfig('us2check');
 
 // Validar configuración
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Error: Missing environment variables in .env');
-  console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  console.error('   Optional: FIGMA_PAT (for fetching Figma file content)');
-  process.exit(1);
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Error: Missing environment variables in .env');
+    console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    console.error('   Optional: FIGMA_PAT (for fetching Figma file content)');
+    process.exit(1);
+  }
 }
 
 // === READLINE HELPER ===
@@ -52,47 +51,21 @@ function askQuestion(question) {
 }
 
 // === AZURE DEVOPS ===
-async function getWorkItem(id) {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/wit/workitems/${id}?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(`Error ${res.status}: ${res.statusText}\n${errorText}`);
-  }
-
-  return res.json();
-}
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
 function extractFields(workItem) {
   const f = workItem.fields;
-
-  // Parse description preserving section structure
-  let rawDesc = f['System.Description'] || '';
-  // Replace block-level tags with newlines to preserve sections
-  rawDesc = rawDesc.replace(/<\/(div|p|br|h[1-6]|li|ul|ol)>/gi, '\n');
-  rawDesc = rawDesc.replace(/<(br|hr)\s*\/?>/gi, '\n');
-  // Remove remaining HTML tags
-  rawDesc = rawDesc.replace(/<[^>]*>/g, '');
-  // Decode HTML entities
-  rawDesc = rawDesc.replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
-  // Clean up multiple newlines but preserve structure
-  rawDesc = rawDesc.replace(/\n{3,}/g, '\n\n').trim();
-
+  const acs = parseAcceptanceCriteria(f['Microsoft.VSTS.Common.AcceptanceCriteria']);
   return {
     id: workItem.id,
     title: f['System.Title'] || '',
-    description: rawDesc,
-    acceptanceCriteria: (f['Microsoft.VSTS.Common.AcceptanceCriteria'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim()
+    description: htmlToMarkdown(f['System.Description']),
+    acs,
+    acceptanceCriteria: formatAcceptanceCriteria(acs)
   };
 }
 
-// === GROQ VALIDATOR ===
+// === LLM VALIDATOR ===
 const VALIDATE_PROMPT = `You are a senior requirements analyst. Analyze this User Story and determine if it's complete for development.
 ALL OUTPUT MUST BE IN ENGLISH.
 
@@ -102,7 +75,7 @@ ANALYZE:
 3. **Edge Cases**: What about errors, empty states, limits?
 4. **Validations**: Are data validation rules specified?
 5. **Permissions**: Is it defined who can do what?
-6. **Figma Consistency**: Do ACs cover all screen elements?
+6. **Figma Consistency**: Do ACs cover all screen elements and component variants? Do visual ACs match the design tokens (colors, typography, spacing)? Name the listed code components (not raw shapes) and ask how Figma components without code counterpart will be built.
 
 FIGMA CONTEXT:
 {FIGMA_CONTEXT}
@@ -136,10 +109,34 @@ OUTPUT FORMAT (exact):
 ## Summary
 [1-2 sentences with overall status and correction priority]`;
 
-async function validateUserStory(story, figmaContext) {
-  const prompt = VALIDATE_PROMPT.replace('{FIGMA_CONTEXT}', figmaContext || 'No Figma context provided');
+// Computed matrix for the prompt: the model comments on it instead of guessing coverage
+function coveragePrompt(coverage) {
+  const seeds = seedSuggestedAcs(coverage);
+  return `
+
+FIGMA COVERAGE (computed from the design and the numbered ACs, trust it):
+${formatCoverageMatrix(coverage)}${seeds.length ? `
+
+Uncovered design elements - start "Suggested ACs to add" with one testable AC for each:
+${seeds.map(seed => `- ${seed}`).join('\n')}` : ''}`;
+}
+
+// Team rules already evaluated: failed blockers are facts, not opinions
+function rulesPrompt(dor) {
+  return `
+
+DEFINITION OF READY (team rules, computed from the work item - failed ❌ rules block the story):
+${formatRuleResults(dor)}`;
+}
 
-  const userMessage = `${prompt}
+/**
+ * @param {{coverage?: object|null, dor?: object|null}} [computed] - Figma coverage matrix and Definition of Ready results
+ */
+async function validateUserStory(story, figmaContext, { coverage = null, dor = null } = {}) {
+  const context = (figmaContext || 'No Figma context provided') + (coverage ? coveragePrompt(coverage) : '');
+  const prompt = VALIDATE_PROMPT.replace('{FIGMA_CONTEXT}', context);
+
+  const userMessage = `${prompt}${dor ? rulesPrompt(dor) : ''}
 
 USER STORY:
 Title: ${story.title}
@@ -150,142 +147,598 @@ ${story.description || '(No description)'}
 Acceptance Criteria:
 ${story.acceptanceCriteria || '(No acceptance criteria)'}`;
 
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${GROQ_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [{ role: 'user', content: userMessage }],
-      max_tokens: 1500,
-      temperature: 0.2
-    })
+  return chat('us2check', [{ role: 'user', content: userMessage }], {
+    maxTokens: 1500,
+    temperature: 0.2
   });
+}
+
+// === FIGMA CONTEXT ===
+// Figma URLs are fetched when FIGMA_PAT is set; anything else is used as a screen description
+async function describeFigma(input, index, componentMap) {
+  if (isFigmaUrl(input)) log(`     ↳ Fetching Figma content...`);
+  const result = await describeFigmaInput(input, index, FIGMA_PAT, { componentMap });
+  if (result.fetched) log(`     ✓ Extracted content from Figma${result.cached ? ' (cached)' : ''}`);
+  else if (result.error) log(`     ⚠️  ${result.error} - using URL as description`);
+  return result;
+}
+
+// === REPORT PARSING ===
+// "## Status: INCOMPLETE" (INCOMPLETE is checked before COMPLETE, which it contains)
+function parseStatus(analysis) {
+  const match = analysis.match(/##\s*Status:?\s*\**\s*\[?\s*(INCOMPLETE|NEEDS REVIEW|COMPLETE)/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// Lines under each "## Header", keyed by lowercase header
+function reportSections(analysis) {
+  const sections = new Map();
+  let current = null;
+  for (const raw of analysis.split('\n')) {
+    const line = raw.trim();
+    const header = line.match(/^#{2,3}\s*([^:]+)/);
+    if (header) {
+      current = header[1].trim().toLowerCase();
+      sections.set(current, []);
+    } else if (current && line) {
+      sections.get(current).push(line);
+    }
+  }
+  return sections;
+}
+
+// Matrix goes before "Suggested ACs to add", which it seeds
+function addCoverageSection(analysis, coverage) {
+  if (!coverage) return analysis;
+  const section = `## Figma Coverage\n${formatCoverageMatrix(coverage)}\n\n`;
+  const at = analysis.search(/^##\s*Suggested ACs/im);
+  return at === -1 ? `${analysis.trimEnd()}\n\n${section.trimEnd()}` : analysis.slice(0, at) + section + analysis.slice(at);
+}
+
+// Rule results go right after the status, which a failed blocker forces to INCOMPLETE
+function addRulesSection(analysis, dor) {
+  if (!dor) return analysis;
+  const section = `## Definition of Ready\n${formatRuleResults(dor)}\n\n`;
+  const statusLine = /^##\s*Status:.*$/im;
+  let text = analysis;
+  if (!dor.passed) {
+    const forced = '## Status: INCOMPLETE (Definition of Ready not met)';
+    text = statusLine.test(text) ? text.replace(statusLine, forced) : `${forced}\n\n${text}`;
+  }
+  const match = text.match(statusLine);
+  const at = match ? match.index + match[0].length : 0;
+  return `${text.slice(0, at).trimEnd()}\n\n${section}${text.slice(at).trimStart()}`.trimStart();
+}
+
+// "- ✅ text" / "1. text" -> "text"
+function cleanItem(line) {
+  return line.replace(/^([-*•]|\d+[.)])\s*/, '').replace(/^(✅|❌|⚠️?)\s*/u, '').trim();
+}
+
+/**
+ * Structured view of the analysis for --json
+ */
+function parseReport(analysis) {
+  const sections = reportSections(analysis);
+  const lines = name => sections.get(name) || [];
+  const items = name => lines(name).map(cleanItem).filter(Boolean);
+  const marked = (name, mark) => lines(name).filter(l => l.includes(mark)).map(cleanItem).filter(Boolean);
+
+  return {
+    status: parseStatus(analysis),
+    description: { ok: marked('description', '✅'), missing: marked('description', '❌') },
+    acceptanceCriteria: { covered: marked('acceptance criteria', '✅'), notCovered: marked('acceptance criteria', '❌') },
+    suggestedAcs: items('suggested acs to add'),
+    missingValidations: items('missing validations'),
+    edgeCases: items('edge cases not covered'),
+    questions: items('questions for product owner'),
+    summary: lines('summary').join(' ')
+  };
+}
+
+/**
+ * LLM analysis with the computed sections (coverage matrix, Definition of Ready) merged in
+ * @returns {Promise<{analysis: string, llmStatus: string|null, report: object}>} llmStatus: before a failed rule forced it
+ */
+async function analyzeStory(story, figmaContext, { coverage = null, dor = null } = {}) {
+  const raw = await validateUserStory(story, figmaContext, { coverage, dor });
+  const analysis = addRulesSection(addCoverageSection(raw, coverage), dor);
+  return { analysis, llmStatus: parseStatus(raw), report: parseReport(analysis) };
+}
+
+// === PUBLISHING ===
+const DEFAULT_READY_TAG = 'ready-for-dev';
+const DEFAULT_REFINEMENT_TAG = 'needs-refinement';
+// Heading of the draft appended to Acceptance Criteria, also used to detect an earlier draft
+const DRAFT_MARKER = 'DRAFT - ACs suggested by us2check, pending Product Owner review';
+
+/**
+ * Tag to add and tag to remove for a status: COMPLETE is ready, INCOMPLETE / NEEDS REVIEW need refinement.
+ * Tag names come from US2CHECK_READY_TAG / US2CHECK_REFINEMENT_TAG or "us2check" in .us2cursor.json
+ */
+function tagsForStatus(status) {
+  const ready = getSetting('us2check', 'readyTag') || DEFAULT_READY_TAG;
+  const refinement = getSetting('us2check', 'refinementTag') || DEFAULT_REFINEMENT_TAG;
+  if (status === 'COMPLETE') return { add: ready, remove: refinement };
+  if (status === 'INCOMPLETE' || status === 'NEEDS REVIEW') return { add: refinement, remove: ready };
+  return null;
+}
+
+// "a; b" tags field with one tag swapped for another (tags are case-insensitive in Azure DevOps)
+function retag(field, { add, remove }) {
+  const tags = (field || '').split(';').map(t => t.trim()).filter(Boolean);
+  const kept = tags.filter(t => ![add, remove].some(x => x.toLowerCase() === t.toLowerCase()));
+  return { value: [...kept, add].join('; '), removed: tags.some(t => t.toLowerCase() === remove.toLowerCase()) };
+}
+
+function commentMarkdown(analysis) {
+  return `**us2check** - User Story completeness check\n\n${analysis}\n\n---\n_Suggested ACs are proposals for the Product Owner, not agreed scope._`;
+}
+
+// "AC#3: Forgot password..." -> "Forgot password..."
+const draftAcText = ac => ac.replace(/^AC\s*#?\s*[\dX]*\s*[:.-]\s*/i, '').trim();
+
+function draftAcsHtml(acs) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<div><br></div><div><b>${DRAFT_MARKER}</b></div><ol>${acs.map(ac => `<li><i>${escape(ac)}</i></li>`).join('')}</ol>`;
+}
+
+/**
+ * Patch the work item only if it is still at the revision we read, so a concurrent edit is never overwritten
+ * @returns {Promise<object|null>} The updated work item, null when it changed meanwhile
+ */
+async function updateUnlessChanged(workItem, operations) {
+  try {
+    return await azdo.updateWorkItem(workItem.id, [{ op: 'test', path: '/rev', value: workItem.rev }, ...operations]);
+  } catch (err) {
+    if (err instanceof AzDoConflictError) return null;
+    throw err;
+  }
+}
+
+const confirm = async question => ['y', 'yes'].includes((await askQuestion(question)).toLowerCase());
+
+/**
+ * Tag the story from its status and, once confirmed, append the suggested ACs as a marked draft
+ * to Acceptance Criteria, then post the report as a discussion comment. The comment goes last:
+ * it creates a new revision, which would fail the /rev test of the patches
+ * @returns {Promise<{published: boolean, tag: string|null, draftAcs: number}>}
+ */
+export async function publishReport(workItem, analysis, report, options) {
+  const result = { published: false, tag: null, draftAcs: 0 };
+
+  // Pipelines can't answer the prompt: they publish only with --publish/--yes
+  const publish = options.publish || options.yes
+    || (options.interactive && await confirm('  📤 Publish to the work item (comment + tag)? (y/n): '));
+  if (!publish) {
+    if (!options.interactive) log('  ℹ️  Not published (use --publish to write the result to the work item)');
+    return result;
+  }
+
+  log('\n  📤 Publishing...');
+  await updateTagsAndDraft(workItem, report, options, result);
+
+  await azdo.addWorkItemComment(workItem.id, commentMarkdown(analysis));
+  log('  💬 Report posted as a discussion comment');
+  result.published = true;
+
+  return result;
+}
+
+// Status tag and draft ACs, each patch guarded by the revision it was computed from
+async function updateTagsAndDraft(workItem, report, options, result) {
+  let current = workItem;
+  const tags = tagsForStatus(report.status);
+  if (tags) {
+    const { value, removed } = retag(current.fields['System.Tags'], tags);
+    current = await updateUnlessChanged(current, [{ op: 'add', path: '/fields/System.Tags', value }]);
+    if (!current) {
+      log('  ⚠️  The story was edited meanwhile - tags and ACs left unchanged, run us2check again');
+      return;
+    }
+    result.tag = tags.add;
+    log(`  🏷️  Tagged "${tags.add}"${removed ? ` (removed "${tags.remove}")` : ''}`);
+  } else {
+    log('  ⚠️  No "## Status:" in the analysis - tags left unchanged');
+  }
+
+  const acs = report.suggestedAcs.map(draftAcText).filter(Boolean);
+  if (!acs.length) return;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Groq API Error ${response.status}: ${errorText}`);
+  const field = current.fields['Microsoft.VSTS.Common.AcceptanceCriteria'] || '';
+  if (field.includes(DRAFT_MARKER)) {
+    log('  ⏭ Acceptance Criteria already have a us2check draft - review it before adding another');
+    return;
   }
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+  // Changing the ACs needs its own confirmation: --draft-acs, or "y" at the prompt (--yes does not imply it)
+  const draft = options.draftAcs
+    || (options.interactive && await confirm(`  📝 Append ${acs.length} suggested AC(s) to Acceptance Criteria as a draft? (y/n): `));
+  if (!draft) return;
+
+  const updated = await updateUnlessChanged(current, [
+    { op: 'add', path: '/fields/Microsoft.VSTS.Common.AcceptanceCriteria', value: field + draftAcsHtml(acs) }
+  ]);
+  if (!updated) {
+    log('  ⚠️  The story was edited meanwhile - draft ACs not appended, run us2check again');
+    return;
+  }
+  result.draftAcs = acs.length;
+  log(`  📝 ${acs.length} draft AC(s) appended to Acceptance Criteria`);
+}
+
+// === BATCH ===
+const STORY_TYPES = ['User Story', 'Product Backlog Item'];
+const CLOSED_STATES = ['Closed', 'Done', 'Removed'];
+const DEFAULT_CONCURRENCY = 3;
+// Stories checked per run: each one is an LLM call
+const MAX_BATCH_ITEMS = 100;
+// Gaps shown per story in the summary
+const MAX_GAPS = 3;
+
+const STATUS_LABELS = {
+  COMPLETE: '✅ COMPLETE',
+  INCOMPLETE: '❌ INCOMPLETE',
+  'NEEDS REVIEW': '⚠️ NEEDS REVIEW',
+  ERROR: '💥 ERROR'
+};
+
+// Open User Stories / PBIs of the project under an iteration and/or area path
+function batchWiql({ iteration, area }) {
+  const quote = value => `'${value.replace(/'/g, "''")}'`;
+  const conditions = [
+    '[System.TeamProject] = @project',
+    `[System.WorkItemType] IN (${STORY_TYPES.map(quote).join(', ')})`,
+    `[System.State] NOT IN (${CLOSED_STATES.map(quote).join(', ')})`,
+    iteration && `[System.IterationPath] UNDER ${quote(iteration)}`,
+    area && `[System.AreaPath] UNDER ${quote(area)}`
+  ].filter(Boolean);
+  return `SELECT [System.Id] FROM WorkItems WHERE ${conditions.join(' AND ')} ORDER BY [Microsoft.VSTS.Common.BacklogPriority], [System.Id]`;
+}
+
+/**
+ * User Stories / PBIs selected by --query (saved query id or path, or WIQL) or --iteration / --area
+ */
+async function findBatchWorkItems({ iteration, area, query }) {
+  let ids;
+  if (query) {
+    ids = /^\s*select\b/i.test(query) ? await azdo.queryWorkItemIds(query) : await azdo.runSavedQuery(query);
+  } else {
+    ids = await azdo.queryWorkItemIds(batchWiql({ iteration, area }));
+  }
+
+  // Saved queries and WIQL may return tasks, bugs or closed items too: keep the open stories,
+  // reading only their type and state, before fetching what will be checked with its relations
+  const candidates = await azdo.getWorkItems(ids, { fields: ['System.WorkItemType', 'System.State'] });
+  const open = new Set(candidates
+    .filter(wi => STORY_TYPES.includes(wi.fields['System.WorkItemType']) && !CLOSED_STATES.includes(wi.fields['System.State']))
+    .map(wi => wi.id));
+  let storyIds = ids.filter(id => open.has(id));
+
+  if (storyIds.length > MAX_BATCH_ITEMS) {
+    log(`  ⚠️  ${storyIds.length} stories found, checking the first ${MAX_BATCH_ITEMS}`);
+    storyIds = storyIds.slice(0, MAX_BATCH_ITEMS);
+  }
+  return azdo.getWorkItems(storyIds, { relations: true });
+}
+
+// --concurrency, then the us2check.concurrency setting
+function batchConcurrency(options) {
+  if (options.concurrency) return options.concurrency;
+
+  const setting = getSetting('us2check', 'concurrency');
+  if (setting === null || setting === undefined || setting === '') return DEFAULT_CONCURRENCY;
+  const value = Number(setting);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`us2check concurrency setting must be a positive integer (got "${setting}")`);
+  }
+  return value;
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping the order of the results
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Failed blockers first, then what the analysis found missing
+function topGaps(report, dor) {
+  const gaps = [
+    ...(dor?.rules || []).filter(r => !r.passed && r.severity === 'blocker').map(r => r.description),
+    ...report.acceptanceCriteria.notCovered,
+    ...report.description.missing,
+    ...report.missingValidations
+  ];
+  return [...new Set(gaps)].slice(0, MAX_GAPS).map(gap => (gap.length > 80 ? `${gap.slice(0, 77)}...` : gap));
+}
+
+function summaryLine(rows) {
+  const count = status => rows.filter(r => r.status === status).length;
+  const parts = [
+    count('INCOMPLETE') && `${count('INCOMPLETE')} incomplete`,
+    count('NEEDS REVIEW') && `${count('NEEDS REVIEW')} need review`,
+    count('ERROR') && `${count('ERROR')} failed`
+  ].filter(Boolean);
+  return `${count('COMPLETE')} of ${rows.length} ready for development${parts.length ? ` (${parts.join(', ')})` : ''}`;
+}
+
+/**
+ * Markdown summary: one row per story with its status and top gaps
+ */
+function batchMarkdown(title, rows) {
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `# Readiness: ${title}`,
+    '',
+    summaryLine(rows),
+    '',
+    '| ID | Title | Status | Top gaps |',
+    '|----|-------|--------|----------|',
+    ...rows.map(r => `| ${r.id} | ${cell(r.title)} | ${STATUS_LABELS[r.status] || r.status || '?'} | ${cell(r.error || r.gaps.join('; ') || '-')} |`)
+  ].join('\n');
+}
+
+function batchCsv(rows) {
+  const field = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  return [
+    'id,title,status,gaps,url',
+    ...rows.map(r => [r.id, r.title, r.status || '', r.error || r.gaps.join(' | '), r.url].map(field).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Check every story of an iteration, area or query without prompts (no Figma context) and summarize them.
+ * With --publish / --yes each story also gets its comment and tag (draft ACs only with --draft-acs)
+ */
+async function runBatch(options, rules) {
+  const title = options.query ? `query ${options.query}` : [options.iteration, options.area].filter(Boolean).join(' / ');
+  let concurrency;
+  try {
+    concurrency = batchConcurrency(options);
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.figma?.length) log('  ⚠️  --figma is ignored when checking several stories');
+
+  try {
+    log(`  🔍 Finding User Stories in ${title}...`);
+    const workItems = await findBatchWorkItems(options);
+    if (!workItems.length) {
+      log('  ℹ️  No open User Stories / PBIs found\n');
+      if (options.json) writeJson({ batch: title, total: 0, ready: 0, items: [], markdown: '' });
+      return;
+    }
+    log(`  ⚙️  Checking ${workItems.length} stories with ${describeLLM('us2check')} (${concurrency} at a time)...`);
+    log('');
+
+    const publish = options.publish || options.yes;
+    const rows = await mapWithConcurrency(workItems, concurrency, async workItem => {
+      const story = extractFields(workItem);
+      const row = { id: story.id, title: story.title, status: null, gaps: [], url: `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_workitems/edit/${story.id}` };
+      try {
+        const dor = rules && evaluateRules(rules, workItem);
+        const { analysis, report } = await analyzeStory(story, '', { dor });
+        Object.assign(row, { status: report.status, gaps: topGaps(report, dor), ...(dor && { definitionOfReady: dor }) });
+        // No prompts in a batch: publishing and draft ACs only happen with their flags
+        if (publish) row.published = (await publishReport(workItem, analysis, report, { ...options, interactive: false })).published;
+        log(`  ${(STATUS_LABELS[row.status] || '❔').split(' ')[0]} #${row.id} ${row.title}`);
+      } catch (error) {
+        Object.assign(row, { status: 'ERROR', error: error.message });
+        log(`  💥 #${row.id} ${row.title}: ${error.message}`);
+      }
+      return row;
+    });
+
+    const markdown = batchMarkdown(title, rows);
+    if (options.clipboard) clipboard.writeSync(markdown);
+    if (options.report) {
+      writeFileSync(options.report, options.report.toLowerCase().endsWith('.csv') ? batchCsv(rows) : `${markdown}\n`);
+    }
+
+    log('');
+    printDivider();
+    log('');
+    log(markdown);
+    log('');
+    printDivider();
+    log('');
+    if (options.report) log(`  📄 Summary written to ${options.report}`);
+    if (options.clipboard) log('  📋 Summary copied to clipboard');
+    log('');
+
+    if (options.json) {
+      writeJson({
+        batch: title,
+        total: rows.length,
+        ready: rows.filter(r => r.status === 'COMPLETE').length,
+        items: rows,
+        markdown
+      });
+    }
+
+    // A story that could not be checked must not pass the pipeline either
+    if (rows.some(r => r.status === 'ERROR')) {
+      process.exitCode = rows.every(r => r.status === 'ERROR') ? EXIT_CODES.ERROR : EXIT_CODES.CHECK_FAILED;
+    } else if (rows.some(r => r.status === 'INCOMPLETE')) {
+      process.exitCode = EXIT_CODES.CHECK_FAILED;
+    }
+
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`);
+    log('');
+    log('  Possible causes:');
+    log('    - Iteration / area path or query does not exist');
+    log('    - PAT expired or missing permissions');
+    log('    - Incorrect project');
+    log('');
+    process.exit(1);
+  }
 }
 
 // === HELPERS ===
 function printHeader() {
-  console.log('');
-  console.log('╔═══════════════════════════════════════════════════════╗');
-  console.log('║   US2VALIDATE - Validate User Story completeness      ║');
-  console.log('╚═══════════════════════════════════════════════════════╝');
-  console.log('');
+  log('');
+  log('╔═══════════════════════════════════════════════════════╗');
+  log('║   US2CHECK - Check User Story completeness            ║');
+  log('╚═══════════════════════════════════════════════════════╝');
+  log('');
 }
 
 function printDivider() {
-  console.log('─'.repeat(55));
+  log('─'.repeat(55));
 }
 
 // === MAIN ===
-async function main() {
-  const workItemId = process.argv[2];
-
-  printHeader();
-
-  if (!workItemId) {
-    console.log('  Usage: us2validate <work-item-id>');
-    console.log('');
-    console.log('  Examples:');
-    console.log('    us2validate 12345');
-    console.log('    us2validate 67890');
-    console.log('');
-    console.log('  Function: Validates if a User Story is complete');
-    console.log('            and suggests missing ACs');
-    console.log('');
+/**
+ * Exit code is 2 (CHECK_FAILED) when the status is INCOMPLETE, which a failed Definition of Ready blocker forces.
+ * Without a work item id, every story of --iteration / --area / --query is checked (see runBatch)
+ * @param {{workItemId?: string, figma?: string[], iteration?: string, area?: string, query?: string, concurrency?: number, report?: string, publish?: boolean, yes?: boolean, draftAcs?: boolean, json?: boolean, clipboard: boolean, interactive: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { workItemId } = options;
+  checkConfig();
+
+  let componentMap;
+  let rules;
+  try {
+    componentMap = loadComponentMap();
+    rules = loadRules();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
+  printHeader();
+
+  if (!workItemId) return runBatch(options, rules);
 
   try {
-    console.log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
-    const workItem = await getWorkItem(workItemId);
+    log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
+    const workItem = await azdo.getWorkItem(workItemId, { relations: true });
     const story = extractFields(workItem);
     
-    console.log(`  📋 "${story.title}"`);
-    console.log('');
+    log(`  📋 "${story.title}"`);
+
+    const dor = rules && evaluateRules(rules, workItem);
+    if (dor) {
+      log(`  📏 Definition of Ready: ${dor.rules.filter(r => r.passed).length} of ${dor.rules.length} rules passed`);
+      dor.rules.filter(r => !r.passed).forEach(r => {
+        log(`     ${r.severity === 'blocker' ? '❌' : '⚠️ '} ${r.description} (${r.detail})`);
+      });
+    }
+    log('');
     printDivider();
     
-    // Ask for Figma context (supports multiple)
-    console.log('');
-    console.log('  📐 FIGMA CONTEXT (optional)');
-    console.log('');
-    console.log('  You can provide Figma links or descriptions.');
-    if (FIGMA_PAT) {
-      console.log('  ✓ FIGMA_PAT detected - URLs will be fetched automatically');
+    const figmaInputs = [];
+    if (options.figma?.length || !options.interactive) {
+      // Non-interactive: Figma context only comes from --figma
+      const inputs = options.figma || [];
+      if (inputs.length) log(`\n  📐 Figma context: ${inputs.length} item(s)`);
+      for (const [i, input] of inputs.entries()) {
+        figmaInputs.push(await describeFigma(input, i + 1, componentMap));
+      }
     } else {
-      console.log('  ℹ No FIGMA_PAT - URLs will be passed as-is');
-    }
-    console.log('  Press Enter after each one. Empty line to finish.');
-    console.log('');
-
-    let figmaContext = '';
-    try {
-      const figmaInputs = [];
-      let figmaIndex = 1;
-      while (true) {
-        const input = await askQuestion(`  Figma #${figmaIndex}: `);
-        if (!input) break;
-
-        // Check if input is a Figma URL
-        if (isFigmaUrl(input)) {
-          console.log(`     ↳ Fetching Figma content...`);
-          const result = await fetchFigmaContent(input, FIGMA_PAT);
-          if (result.success) {
-            console.log(`     ✓ Extracted content from Figma`);
-            figmaInputs.push(`[Screen ${figmaIndex}]\nURL: ${input}\n${result.summary}`);
-          } else {
-            console.log(`     ⚠️  ${result.error} - using URL as description`);
-            figmaInputs.push(`[Screen ${figmaIndex}] ${result.fallback}`);
-          }
-        } else {
-          figmaInputs.push(`[Screen ${figmaIndex}] ${input}`);
+      // Ask for Figma context (supports multiple)
+      log('');
+      log('  📐 FIGMA CONTEXT (optional)');
+      log('');
+      log('  You can provide Figma links or descriptions.');
+      if (FIGMA_PAT) {
+        log('  ✓ FIGMA_PAT detected - URLs will be fetched automatically');
+      } else {
+        log('  ℹ No FIGMA_PAT - URLs will be passed as-is');
+      }
+      log('  Press Enter after each one. Empty line to finish.');
+      log('');
+
+      try {
+        let figmaIndex = 1;
+        while (true) {
+          const input = await askQuestion(`  Figma #${figmaIndex}: `);
+          if (!input) break;
+
+          figmaInputs.push(await describeFigma(input, figmaIndex, componentMap));
+          figmaIndex++;
         }
-        figmaIndex++;
+      } catch (err) {
+        log('  ⚠️  Could not read Figma input, continuing without it...');
       }
-      figmaContext = figmaInputs.join('\n\n');
-    } catch (err) {
-      console.log('  ⚠️  Could not read Figma input, continuing without it...');
     }
     
-    console.log('');
-    console.log(`  ⚙️  Analyzing User Story with Groq (70B)...`);
-    console.log('');
+    log('');
+    log(`  ⚙️  Analyzing User Story with ${describeLLM('us2check')}...`);
+    log('');
     
-    const validation = await validateUserStory(story, figmaContext);
+    const figmaContext = figmaInputs.map(f => f.text).join('\n\n');
+    const figmaComponents = componentMap ? mergeComponents(figmaInputs.map(f => f.components)) : null;
+    const elements = figmaInputs.flatMap(f => f.elements || []);
+    const coverage = elements.length ? buildCoverageMatrix(elements, story.acs) : null;
+    if (coverage) {
+      log(`  🧮 Figma coverage: ${coverage.rows.length - coverage.uncovered.length} of ${coverage.rows.length} design elements covered by an AC`);
+    }
+    const { analysis: validation, llmStatus, report } = await analyzeStory(story, figmaContext, { coverage, dor });
     
-    clipboard.writeSync(validation);
+    if (options.clipboard) clipboard.writeSync(validation);
     
-    console.log('  ✅ Analysis completed! (copied to clipboard)');
-    console.log('');
+    log(options.clipboard ? '  ✅ Analysis completed! (copied to clipboard)' : '  ✅ Analysis completed!');
+    log('');
     printDivider();
-    console.log('');
-    console.log(validation);
-    console.log('');
+    log('');
+    log(validation);
+    log('');
     printDivider();
-    console.log('');
-    console.log('  💡 Tip: Copy suggested ACs to Product Owner');
-    console.log('');
+    log('');
+    if (figmaComponents?.unmapped.length) {
+      log(`  🧩 Figma components without code counterpart: ${figmaComponents.unmapped.join(', ')}`);
+      log('');
+    }
+    const published = await publishReport(workItem, validation, report, options);
+    if (!published.published) log('  💡 Tip: Copy suggested ACs to Product Owner');
+    log('');
+
+    if (options.json) {
+      writeJson({
+        workItem: { id: story.id, title: story.title, acceptanceCriteria: story.acs },
+        ...report,
+        figmaComponents,
+        published: published.published,
+        tag: published.tag,
+        draftAcs: published.draftAcs,
+        definitionOfReady: dor && { ...dor, forcedStatus: !dor.passed && llmStatus !== 'INCOMPLETE' },
+        figmaCoverage: coverage && {
+          covered: coverage.rows.length - coverage.uncovered.length,
+          total: coverage.rows.length,
+          omitted: coverage.omitted,
+          elements: coverage.rows,
+          seeds: seedSuggestedAcs(coverage)
+        },
+        analysis: validation
+      });
+    }
+    
+    if (report.status === 'INCOMPLETE') process.exitCode = EXIT_CODES.CHECK_FAILED;
     
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`);
-    console.log('');
-    console.log('  Possible causes:');
-    console.log('    - Work Item does not exist');
-    console.log('    - PAT expired or missing permissions');
-    console.log('    - Incorrect project');
-    console.log('    - Invalid Groq API Key');
-    console.log('');
+    log('');
+    log('  Possible causes:');
+    log('    - Work Item does not exist');
+    log('    - PAT expired or missing permissions');
+    log('    - Incorrect project');
+    log('    - Invalid LLM API key or provider settings');
+    log('');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor check"
+if (isMainModule(import.meta.url)) runCli(['check', ...process.argv.slice(2)]);
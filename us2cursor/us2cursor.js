@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { readFileSync } from 'fs';
+import { loadEnv, isMainModule, isCI, isInteractive } from './lib/env.js';
+import { enableJsonOutput } from './lib/output.js';
+
+// === OPTIONS ===
+const OPTIONS = {
+  'repo': { type: 'string', placeholder: '<name>', description: 'Repository name (default: AZURE_REPO)' },
+  'stack': { type: 'string', placeholder: '<name>', description: 'Backend stack: hotchocolate, aspnet-rest, nestjs, spring-boot (default: US2B_STACK)' },
+  'multi': { type: 'boolean', description: 'Every GraphQL operation the story needs (queries, mutations, subscriptions, types)' },
+  'scaffold': { type: 'string', placeholder: '<dir>', description: 'Write C# records, [MutationType] class, service interface and xUnit tests to <dir>' },
+  'framework': { type: 'string', placeholder: '<name>', description: 'Frontend framework: generic, react, angular, vue (default: US2F_FRAMEWORK)' },
+  'styling': { type: 'string', placeholder: '<name>', description: 'Styling: tailwind, angular-material, css-modules, scss, styled-components' },
+  'no-clipboard': { type: 'boolean', description: 'Do not copy the result to the clipboard' },
+  'json': { type: 'boolean', description: 'Print the result as JSON on stdout (progress on stderr, no prompts or clipboard)' },
+  'yes': { type: 'boolean', short: 'y', description: 'Answer yes to confirmation prompts' },
+  'publish': { type: 'boolean', description: 'Publish the result without asking (PR review, work item comment and tag)' },
+  'draft-acs': { type: 'boolean', description: 'Append the suggested ACs to Acceptance Criteria as a marked draft when publishing' },
+  'iteration': { type: 'string', placeholder: '<path>', description: 'Check every open User Story/PBI under an iteration path' },
+  'area': { type: 'string', placeholder: '<path>', description: 'Check every open User Story/PBI under an area path' },
+  'query': { type: 'string', placeholder: '<id|path|wiql>', description: 'Check the User Stories/PBIs of a saved query (id or path) or a WIQL query' },
+  'concurrency': { type: 'string', placeholder: '<n>', integer: true, description: 'Work items checked in parallel (default: 3)' },
+  'report': { type: 'string', placeholder: '<file>', description: 'Write the batch summary to a .md or .csv file' },
+  'figma': { type: 'string', multiple: true, placeholder: '<url|text>', description: 'Figma link or screen description (repeatable, skips the prompt)' },
+  'incremental': { type: 'boolean', description: 'Review only what changed since the last prreview run' },
+  'since-iteration': { type: 'string', placeholder: '<n>', integer: true, description: 'Review only what changed since iteration N' },
+  'vote': { type: 'boolean', description: 'Set your reviewer vote from the verdict when publishing' },
+  'help': { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+// === COMMANDS ===
+// "alias" is the standalone bin kept for backwards compatibility
+const COMMANDS = [
+  {
+    name: 'spec be',
+    alias: 'us2b',
+    summary: 'Backend spec (HotChocolate, REST, NestJS, Spring Boot) from a User Story',
+    args: [{ name: 'workItemId', label: '<work-item-id>', required: true }],
+    options: ['stack', 'multi', 'scaffold', 'no-clipboard', 'json'],
+    examples: ['spec be 12345', 'spec be 12345 --stack nestjs', 'spec be 12345 --multi', 'spec be 12345 --scaffold src/Api/Notifications'],
+    load: () => import('./us2b.js')
+  },
+  {
+    name: 'spec fe',
+    alias: 'us2f',
+    summary: 'Frontend spec (React, Angular, Vue component) from a User Story',
+    args: [{ name: 'workItemId', label: '<work-item-id>', required: true }],
+    options: ['framework', 'styling', 'figma', 'no-clipboard', 'json'],
+    examples: ['spec fe 12345', 'spec fe 12345 --framework angular --styling angular-material', 'spec fe 12345 --figma https://www.figma.com/design/abc/App?node-id=1-2'],
+    load: () => import('./us2f.js')
+  },
+  {
+    name: 'check',
+    alias: 'us2check',
+    summary: 'Check if a User Story (or a whole sprint) is complete for development',
+    // A batch (--iteration, --area, --query) replaces the work item id
+    args: [{ name: 'workItemId', label: '<work-item-id>', required: true, alternatives: ['iteration', 'area', 'query'] }],
+    options: ['figma', 'iteration', 'area', 'query', 'concurrency', 'report', 'publish', 'draft-acs', 'yes', 'no-clipboard', 'json'],
+    examples: [
+      'check 199339',
+      'check 199339 --figma https://www.figma.com/design/abc/App?node-id=1-2',
+      'check 199339 --publish --draft-acs',
+      'check --iteration "Shop\\Sprint 42" --report sprint-42.csv'
+    ],
+    load: () => import('./us2check.js')
+  },
+  {
+    name: 'task',
+    alias: 'us2task',
+    summary: 'Create a BE/FE Task as child of a User Story',
+    args: [
+      { name: 'usId', label: '<us-id>', required: true },
+      { name: 'type', label: '<be|fe>', required: true, choices: ['be', 'fe'] }
+    ],
+    options: ['yes', 'json'],
+    examples: ['task 199339 be', 'task 199339 fe --yes'],
+    load: () => import('./us2task.js')
+  },
+  {
+    name: 'pr fix',
+    alias: 'prfix',
+    summary: 'Cursor prompt from pending PR comments',
+    args: [
+      { name: 'prId', label: '<pr-id>', required: true },
+      // Positional repo kept for the prfix alias; --repo is preferred
+      { name: 'repo', label: '[repo]', hidden: true }
+    ],
+    options: ['repo', 'no-clipboard', 'json'],
+    examples: ['pr fix 123', 'pr fix 123 --repo MyRepo'],
+    load: () => import('./prfix.js')
+  },
+  {
+    name: 'pr review',
+    alias: 'prreview',
+    summary: 'AI code review of the PR changes, with publish option',
+    args: [
+      { name: 'prId', label: '<pr-id>', required: true },
+      { name: 'repo', label: '[repo]', hidden: true }
+    ],
+    options: ['repo', 'incremental', 'since-iteration', 'publish', 'vote', 'yes', 'no-clipboard', 'json'],
+    examples: ['pr review 64050 --repo AP.AlixVault.API', 'pr review 64050 --incremental --vote', 'pr review 64050 --publish --no-clipboard'],
+    load: () => import('./prreview.js')
+  }
+];
+
+const GROUPS = [...new Set(COMMANDS.map(c => c.name.split(' ')[0]))];
+
+// === HELP ===
+function readVersion() {
+  return JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+}
+
+function optionLabel(name) {
+  const opt = OPTIONS[name];
+  const short = opt.short ? `-${opt.short}, ` : '';
+  return `${short}--${name}${opt.placeholder ? ` ${opt.placeholder}` : ''}`;
+}
+
+function commandUsage(cmd) {
+  const args = cmd.args.filter(a => !a.hidden).map(a => a.label).join(' ');
+  return `us2cursor ${cmd.name} ${args}`.trim() + (cmd.options.length ? ' [options]' : '');
+}
+
+function printHelp() {
+  const width = Math.max(...COMMANDS.map(c => c.name.length), 'completion'.length) + 2;
+  console.log(`\n  us2cursor ${readVersion()} - Azure DevOps → Cursor prompts, specs and reviews\n`);
+  console.log('  Usage: us2cursor <command> [args] [options]\n');
+  console.log('  Commands:');
+  COMMANDS.forEach(c => console.log(`    ${c.name.padEnd(width)}${c.summary}`));
+  console.log(`    ${'completion'.padEnd(width)}Print shell completion (bash|zsh)`);
+  console.log('\n  Run "us2cursor <command> --help" for the options of a command.');
+  console.log(`  Standalone aliases: ${COMMANDS.map(c => c.alias).join(', ')}\n`);
+}
+
+function printCommandHelp(cmd, out = console.log) {
+  out(`\n  ${cmd.summary}\n`);
+  out(`  Usage: ${commandUsage(cmd)}`);
+  out(`         ${cmd.alias} ${cmd.args.filter(a => !a.hidden).map(a => a.label).join(' ')}\n`);
+
+  const options = [...cmd.options, 'help'];
+  const width = Math.max(...options.map(o => optionLabel(o).length)) + 2;
+  out('  Options:');
+  options.forEach(o => out(`    ${optionLabel(o).padEnd(width)}${OPTIONS[o].description}`));
+
+  out('\n  Examples:');
+  cmd.examples.forEach(e => out(`    us2cursor ${e}`));
+  out('');
+}
+
+// === COMPLETION ===
+function completionScript(shell) {
+  const cases = [
+    `    "") opts="${[...GROUPS, 'completion', 'help'].join(' ')} --help --version" ;;`,
+    ...GROUPS
+      .filter(g => COMMANDS.some(c => c.name.startsWith(`${g} `)))
+      .map(g => `    "${g}") opts="${COMMANDS.filter(c => c.name.startsWith(`${g} `)).map(c => c.name.split(' ')[1]).join(' ')}" ;;`),
+    ...COMMANDS.map(c => {
+      const choices = c.args.flatMap(a => a.choices || []);
+      const flags = [...c.options, 'help'].map(o => `--${o}`);
+      return `    "${c.name}"*) opts="${[...choices, ...flags].join(' ')}" ;;`;
+    }),
+    '    completion) opts="bash zsh" ;;',
+    '    *) opts="" ;;'
+  ];
+
+  const script = `# us2cursor completion
+_us2cursor() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local prev=()
+  local w
+  for w in "\${COMP_WORDS[@]:1:COMP_CWORD-1}"; do
+    [[ "$w" == -* ]] || prev+=("$w")
+  done
+  local opts
+  case "\${prev[*]}" in
+${cases.join('\n')}
+  esac
+  COMPREPLY=($(compgen -W "$opts" -- "$cur"))
+}
+complete -F _us2cursor us2cursor`;
+
+  // zsh runs the bash function through bashcompinit
+  return shell === 'zsh' ? `autoload -U +X bashcompinit && bashcompinit\n${script}` : script;
+}
+
+// === DISPATCH ===
+function findCommand(argv) {
+  return COMMANDS.find(c => argv.slice(0, c.name.split(' ').length).join(' ') === c.name);
+}
+
+function fail(message, cmd) {
+  console.error(`\n  ❌ ${message}`);
+  if (cmd) printCommandHelp(cmd, console.error);
+  else console.error('\n  Run "us2cursor --help" for the list of commands.\n');
+  process.exit(1);
+}
+
+/**
+ * Parse the arguments of a command
+ * @returns {object} Named positionals plus options, e.g. {prId, repo, json, clipboard, interactive, yes, incremental}
+ */
+function parseCommandArgs(cmd, argv) {
+  const options = Object.fromEntries([...cmd.options, 'help'].map(o => {
+    const { type, short, multiple } = OPTIONS[o];
+    return [o, { type, ...(short && { short }), ...(multiple && { multiple }) }];
+  }));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+  } catch (err) {
+    fail(err.message, cmd);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    printCommandHelp(cmd);
+    process.exit(0);
+  }
+
+  if (positionals.length > cmd.args.length) {
+    fail(`Unexpected argument "${positionals[cmd.args.length]}"`, cmd);
+  }
+
+  const result = {};
+  cmd.args.forEach((arg, i) => {
+    const value = positionals[i];
+    const alternatives = (arg.alternatives || []).filter(o => values[o] !== undefined);
+    if (value === undefined) {
+      if (arg.required && !alternatives.length) {
+        fail(`Missing ${arg.label}${arg.alternatives ? ` (or ${arg.alternatives.map(o => `--${o}`).join(', ')})` : ''}`, cmd);
+      }
+      return;
+    }
+    if (alternatives.length) fail(`${arg.label} can't be combined with --${alternatives[0]}`, cmd);
+    if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+      fail(`${arg.label} must be one of: ${arg.choices.join(', ')}`, cmd);
+    }
+    result[arg.name] = arg.choices ? value.toLowerCase() : value;
+  });
+
+  // Options are applied after positionals, so --repo wins over the legacy positional repo
+  for (const name of cmd.options) {
+    if (values[name] === undefined || name === 'no-clipboard' || name === 'json') continue;
+
+    const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    let value = values[name];
+    if (OPTIONS[name].integer) {
+      value = Number(value);
+      if (!Number.isInteger(value) || value < 1) fail(`--${name} must be a positive integer`, cmd);
+    }
+    result[key] = value;
+  }
+  // No clipboard on build agents; no prompts without a terminal.
+  // JSON output is for scripts: stdout must only contain the document
+  result.json = Boolean(values.json);
+  result.clipboard = !values['no-clipboard'] && !result.json && !isCI();
+  result.interactive = isInteractive() && !result.json;
+
+  return result;
+}
+
+/**
+ * Run the us2cursor CLI
+ * @param {string[]} argv - Arguments without node and script path, e.g. ['pr', 'review', '123']
+ */
+export async function runCli(argv = process.argv.slice(2)) {
+  loadEnv();
+
+  const [first] = argv;
+  if (!first || first === 'help' || first === '--help' || first === '-h') {
+    printHelp();
+    process.exit(first ? 0 : 1);
+  }
+  if (first === '--version' || first === '-v') {
+    console.log(readVersion());
+    return;
+  }
+  if (first === 'completion') {
+    const shell = argv[1] || 'bash';
+    if (!['bash', 'zsh'].includes(shell)) fail(`Unsupported shell "${shell}" (bash, zsh)`);
+    console.log(completionScript(shell));
+    return;
+  }
+
+  const cmd = findCommand(argv);
+  if (!cmd) {
+    const sub = COMMANDS.filter(c => c.name.startsWith(`${first} `));
+    if (sub.length) {
+      fail(`"${first}" needs a subcommand: ${sub.map(c => c.name.split(' ')[1]).join(', ')}`);
+    }
+    fail(`Unknown command "${first}"`);
+  }
+
+  const args = parseCommandArgs(cmd, argv.slice(cmd.name.split(' ').length));
+  if (args.json) enableJsonOutput();
+  const { run } = await cmd.load();
+  await run(args);
+}
+
+if (isMainModule(import.meta.url)) runCli();
@@ -1,62 +1,52 @@
 #!/usr/bin/env node
 
 import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
-
-// Cargar .env desde el directorio del script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+import { chat, checkLLMConfig, describeLLM } from './lib/llm.js';
+import { createAzDoClient } from './lib/azdo.js';
+import { loadEnv, isMainModule } from './lib/env.js';
+import { log, writeJson } from './lib/output.js';
+import { parseFrontendSpec } from './lib/spec.js';
+import { getFramework, validateFrameworkOutput, DEFAULT_FRAMEWORK } from './lib/frameworks.js';
+import { getSetting } from './lib/config.js';
+import { describeFigmaInput, findFigmaLinks, isFigmaUrl, loadComponentMap, mergeComponents } from './lib/figma.js';
+import { formatAcceptanceCriteria, htmlToMarkdown, parseAcceptanceCriteria } from './lib/html.js';
+import { runCli } from './us2cursor.js';
+
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 // === CONFIGURACIÓN ===
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
+const FIGMA_PAT = process.env.FIGMA_PAT; // Optional - for fetching Figma content
+const LLM_ERROR = checkLLMConfig('us2f');
+// Figma links found in the work item that are fetched (--figma links are always used)
+const MAX_DETECTED_FIGMA_LINKS = 3;
 
 // Validar configuración
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Error: Missing environment variables in .env');
-  console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  process.exit(1);
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Error: Missing environment variables in .env');
+    console.error('   Required: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    console.error('   Optional: FIGMA_PAT (for fetching Figma file content)');
+    process.exit(1);
+  }
 }
 
 // === AZURE DEVOPS ===
-async function getWorkItem(id) {
-  const url = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis/wit/workitems/${id}?api-version=7.0`;
-  
-  const res = await fetch(url, {
-    headers: {
-      'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}`
-    }
-  });
-
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(`Error ${res.status}: ${res.statusText}\n${errorText}`);
-  }
-
-  return res.json();
-}
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
 function extractFields(workItem) {
   const f = workItem.fields;
+  const acs = parseAcceptanceCriteria(f['Microsoft.VSTS.Common.AcceptanceCriteria']);
   return {
     id: workItem.id,
     title: f['System.Title'] || '',
-    description: (f['System.Description'] || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
-    acceptanceCriteria: (f['Microsoft.VSTS.Common.AcceptanceCriteria'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim()
+    description: htmlToMarkdown(f['System.Description']),
+    acs,
+    acceptanceCriteria: formatAcceptanceCriteria(acs)
   };
 }
 
@@ -81,178 +71,179 @@ function cleanOutput(text) {
   return filtered.join('\n').trim();
 }
 
-// === OUTPUT VALIDATOR ===
-function validateOutput(text) {
-  const issues = [];
-  
-  if (!text.includes('Component:')) issues.push('Missing "Component:" section');
-  if (!text.includes('- Name:')) issues.push('Missing "- Name:" in Component');
-  if (!text.includes('UI Elements:') && !text.includes('Elements:')) issues.push('Missing "UI Elements:" section');
-  if (!text.includes('Behavior:') && !text.includes('Interactions:')) issues.push('Missing "Behavior:" or "Interactions:" section');
-  if (!text.includes('AC:')) issues.push('Missing "AC:" section');
-  
-  if (text.endsWith('-') || text.endsWith(':') || text.endsWith(',')) {
-    issues.push('Output appears to be truncated');
-  }
-  
-  return { isValid: issues.length === 0, issues };
-}
-
-// === GROQ COMPILER - FRONTEND ===
-const COMPILE_PROMPT = `Extract the PRIMARY frontend component spec from this user story. Output ONLY the spec, no intro text.
-ALL OUTPUT MUST BE IN ENGLISH.
-
-RULES:
-- ONE component only (the main one)
-- FRONTEND ONLY (UI, interactions, display, styling)
-- IGNORE all backend (database, API calls, business logic)
-- Focus on: what user sees, clicks, interacts with
-- Max 4 items per section
-- MUST include AC section at the end
-
-EXACT FORMAT (no deviations):
-
-Component:
-- Name: <PascalCase>Component
-- Type: <modal|panel|button|list|form|card>
-- Location: <where it appears in the app>
-
-UI Elements:
-- <element 1: description>
-- <element 2: description>
-- <element 3: description>
-
-States:
-- <state 1: when/condition>
-- <state 2: when/condition>
-
-Interactions:
-- <user action 1> → <result>
-- <user action 2> → <result>
-
-Styling:
-- <key style requirement from figma/design>
-
-AC: <list AC numbers this covers, e.g., 1, 2, 4>
-
-MANDATORY: Always end with "AC:" followed by the acceptance criteria numbers covered.
-NO intro text. NO code blocks. NO explanations. ONLY the spec above. ALL IN ENGLISH.`;
-
-async function compileToSpec(story, retryCount = 0) {
-  const userMessage = `${COMPILE_PROMPT}
+// === LLM COMPILER - FRONTEND ===
+const DESIGN_RULES = `DESIGN: UI Elements, States and Styling MUST reflect the Figma design below (its frames, texts and components).
+Use the design names. Do not invent elements that are not in the design or the story.
+Styling MUST use the listed design tokens (Colors, Typography, Spacing, Radii, Variants) instead of guessed values.
+When "Code components" are listed, UI Elements MUST use those components (e.g. "<NotificationBadge> from @ui/badge") instead of describing their shapes.`;
 
+async function compileToSpec(story, framework, design, retryCount = 0) {
+  const userMessage = `${framework.prompt}
+${design ? `\n${DESIGN_RULES}\n` : ''}
 Title: ${story.title}
-Description: ${story.description}
-Acceptance Criteria: ${story.acceptanceCriteria}`;
 
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${GROQ_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [{ role: 'user', content: userMessage }],
-      max_tokens: 350,
-      temperature: 0.05
-    })
-  });
+Description:
+${story.description}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Groq API Error ${response.status}: ${errorText}`);
-  }
+Acceptance Criteria:
+${story.acceptanceCriteria}${design ? `\n\nDesign (Figma):\n${design}` : ''}`;
 
-  const data = await response.json();
-  let result = data.choices[0].message.content;
+  let result = await chat('us2f', [{ role: 'user', content: userMessage }], {
+    maxTokens: framework.maxTokens,
+    temperature: 0.05
+  });
   
   result = cleanOutput(result);
-  const validation = validateOutput(result);
+  const validation = validateFrameworkOutput(framework, result);
   
   if (!validation.isValid) {
     if (validation.issues.length === 1 && validation.issues[0] === 'Missing "AC:" section') {
       result += '\n\nAC: (verify manually)';
     } else if (validation.issues.some(i => i.includes('truncated') || i.includes('incomplete')) && retryCount < 1) {
-      console.log('  ⚠️  Incomplete output, retrying...');
-      return compileToSpec(story, retryCount + 1);
+      log('  ⚠️  Incomplete output, retrying...');
+      return compileToSpec(story, framework, design, retryCount + 1);
     }
   }
   
   return { result, validation };
 }
 
+// === FIGMA CONTEXT ===
+/**
+ * --figma inputs plus the Figma links of the work item, fetched when FIGMA_PAT is set
+ * @param {object|null} componentMap - Figma component → code component map (see loadComponentMap)
+ * @returns {Promise<{design: string, sources: Array<{url: string|null, source: string, fetched: boolean, error?: string}>, components: {mapped: object[], unmapped: string[]}|null}>}
+ */
+async function collectDesign(workItem, figmaOptions = [], componentMap = null) {
+  const detected = findFigmaLinks(workItem);
+  const inputs = [
+    ...figmaOptions.map(input => ({ input, source: 'flag' })),
+    ...detected
+      .filter(link => !figmaOptions.includes(link.url))
+      .slice(0, MAX_DETECTED_FIGMA_LINKS)
+      .map(link => ({ input: link.url, source: link.source }))
+  ];
+  if (!inputs.length) return { design: '', sources: [], components: null };
+
+  log(`  📐 Figma: ${inputs.length} design input(s)${detected.length ? ` (${detected.length} found in the work item)` : ''}`);
+  if (!FIGMA_PAT && inputs.some(i => isFigmaUrl(i.input))) {
+    log('     ⚠️  FIGMA_PAT not set - only the links are sent, not the design content');
+  }
+
+  const texts = [];
+  const sources = [];
+  const found = [];
+  for (const [i, { input, source }] of inputs.entries()) {
+    const result = await describeFigmaInput(input, i + 1, FIGMA_PAT, { componentMap });
+    if (result.fetched) log(`     ✓ ${input} (${source}${result.cached ? ', cached' : ''})`);
+    else if (result.error && FIGMA_PAT) log(`     ⚠️  ${input}: ${result.error}`);
+    texts.push(result.text);
+    found.push(result.components);
+    sources.push({ url: result.url, source, fetched: result.fetched, ...(result.error && { error: result.error }) });
+  }
+
+  const components = componentMap ? mergeComponents(found) : null;
+  if (components && (components.mapped.length || components.unmapped.length)) {
+    log(`     🧩 ${components.mapped.length} mapped component(s)${components.unmapped.length ? `, ${components.unmapped.length} without code counterpart: ${components.unmapped.join(', ')}` : ''}`);
+  }
+
+  return { design: texts.join('\n\n'), sources, components };
+}
+
 // === HELPERS ===
-function printHeader() {
-  console.log('');
-  console.log('╔═══════════════════════════════════════════════════════╗');
-  console.log('║   US2CURSOR - Azure DevOps → Frontend (UI/Components) ║');
-  console.log('╚═══════════════════════════════════════════════════════╝');
-  console.log('');
+function printHeader(framework) {
+  log('');
+  log('╔═══════════════════════════════════════════════════════╗');
+  log(`║   ${`US2CURSOR - Azure DevOps → ${framework.title}`.padEnd(52)}║`);
+  log('╚═══════════════════════════════════════════════════════╝');
+  log('');
 }
 
 function printDivider() {
-  console.log('─'.repeat(55));
+  log('─'.repeat(55));
 }
 
 // === MAIN ===
-async function main() {
-  const workItemId = process.argv[2];
-
-  printHeader();
-
-  if (!workItemId) {
-    console.log('  Usage: us2f <work-item-id>');
-    console.log('');
-    console.log('  Examples:');
-    console.log('    us2f 12345');
-    console.log('    us2f 67890');
-    console.log('');
-    console.log('  Stack: Frontend (React/Angular/Vue components)');
-    console.log('');
+/**
+ * Framework: --framework, then US2F_FRAMEWORK, then "us2f.framework" in .us2cursor.json (same for styling)
+ * Figma: --figma inputs plus links found in the description, acceptance criteria and links of the work item.
+ * Figma components are mapped to code components with FIGMA_COMPONENTS / "figma.components" in .us2cursor.json
+ * @param {{workItemId: string, framework?: string, styling?: string, figma?: string[], json?: boolean, clipboard: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { workItemId } = options;
+  checkConfig();
+  
+  let framework;
+  let componentMap;
+  try {
+    framework = getFramework(
+      options.framework || getSetting('us2f', 'framework') || DEFAULT_FRAMEWORK,
+      options.styling || getSetting('us2f', 'styling')
+    );
+    componentMap = loadComponentMap();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
+  printHeader(framework);
 
   try {
-    console.log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
-    const workItem = await getWorkItem(workItemId);
+    log(`  🔍 Fetching US #${workItemId} from Azure DevOps...`);
+    const workItem = await azdo.getWorkItem(workItemId, { relations: true });
     const story = extractFields(workItem);
     
-    console.log(`  📋 "${story.title}"`);
-    console.log(`  ⚙️  Extracting frontend spec with Groq (70B)...`);
-    console.log('');
+    log(`  📋 "${story.title}"`);
+    const { design, sources: figma, components } = await collectDesign(workItem, options.figma, componentMap);
+    const styling = framework.styling ? ` + ${framework.styling.label}` : '';
+    log(`  ⚙️  Extracting ${framework.name === DEFAULT_FRAMEWORK ? 'frontend' : framework.label}${styling} spec with ${describeLLM('us2f')}...`);
+    log('');
     
-    const { result: spec, validation } = await compileToSpec(story);
+    const { result: spec, validation } = await compileToSpec(story, framework, design);
     
-    clipboard.writeSync(spec);
+    if (options.clipboard) clipboard.writeSync(spec);
     
-    console.log('  ✅ Spec copied to clipboard!');
+    log(options.clipboard ? '  ✅ Spec copied to clipboard!' : '  ✅ Spec ready!');
     
     if (!validation.isValid) {
-      console.log('');
-      console.log('  ⚠️  Warnings:');
-      validation.issues.forEach(issue => console.log(`     - ${issue}`));
+      log('');
+      log('  ⚠️  Warnings:');
+      validation.issues.forEach(issue => log(`     - ${issue}`));
     }
     
-    console.log('');
+    log('');
     printDivider();
-    console.log(spec);
+    log(spec);
     printDivider();
-    console.log('');
-    console.log('  👉 Paste in Cursor Chat (Ctrl+V) and press Enter');
-    console.log('');
+    log('');
+    if (options.clipboard) log('  👉 Paste in Cursor Chat (Ctrl+V) and press Enter');
+    log('');
+    
+    if (options.json) {
+      writeJson({
+        workItem: { id: story.id, title: story.title, acceptanceCriteria: story.acs },
+        framework: framework.name,
+        styling: framework.styling?.name || null,
+        figma,
+        components,
+        spec: parseFrontendSpec(spec),
+        text: spec,
+        warnings: validation.issues
+      });
+    }
     
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`);
-    console.log('');
-    console.log('  Possible causes:');
-    console.log('    - Work Item does not exist');
-    console.log('    - PAT expired or missing permissions');
-    console.log('    - Incorrect project');
-    console.log('    - Invalid Groq API Key');
-    console.log('');
+    log('');
+    log('  Possible causes:');
+    log('    - Work Item does not exist');
+    log('    - PAT expired or missing permissions');
+    log('    - Incorrect project');
+    log('    - Invalid LLM API key or provider settings');
+    log('');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor spec fe"
+if (isMainModule(import.meta.url)) runCli(['spec', 'fe', ...process.argv.slice(2)]);
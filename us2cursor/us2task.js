@@ -1,80 +1,50 @@
 #!/usr/bin/env node
 
-import clipboard from 'clipboardy';
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
 import * as readline from 'readline';
+import { chat, checkLLMConfig } from './lib/llm.js';
+import { createAzDoClient } from './lib/azdo.js';
+import { loadEnv, isMainModule } from './lib/env.js';
+import { log, writeJson } from './lib/output.js';
+import { formatAcceptanceCriteria, htmlToMarkdown, parseAcceptanceCriteria } from './lib/html.js';
+import { runCli } from './us2cursor.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load .env first (defaults/template)
-config({ path: join(__dirname, '.env') });
-
-// Load .env.local second (overrides) - has priority
-const localEnvPath = join(__dirname, '.env.local');
-if (existsSync(localEnvPath)) {
-  config({ path: localEnvPath, override: true });
-}
+// Load .env + .env.local before reading the configuration
+loadEnv();
 
 const AZURE_ORG = process.env.AZURE_ORG;
 const AZURE_PROJECT = process.env.AZURE_PROJECT;
 const AZURE_PAT = process.env.AZURE_PAT;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
 const AZURE_USER_EMAIL = process.env.AZURE_USER_EMAIL || '';
+const LLM_ERROR = checkLLMConfig('us2task');
 
-if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || !GROQ_API_KEY) {
-  console.error('❌ Missing config. Create .env.local with: AZURE_ORG, AZURE_PROJECT, AZURE_PAT, GROQ_API_KEY');
-  process.exit(1);
+function checkConfig() {
+  if (!AZURE_ORG || !AZURE_PROJECT || !AZURE_PAT || LLM_ERROR) {
+    console.error('❌ Missing config. Create .env.local with: AZURE_ORG, AZURE_PROJECT, AZURE_PAT + LLM provider (GROQ_API_KEY by default)');
+    if (LLM_ERROR) console.error(`   LLM: ${LLM_ERROR}`);
+    process.exit(1);
+  }
 }
 
-const authHeader = { 'Authorization': `Basic ${Buffer.from(':' + AZURE_PAT).toString('base64')}` };
-const baseUrl = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_apis`;
+const azdo = createAzDoClient({ org: AZURE_ORG, project: AZURE_PROJECT, pat: AZURE_PAT });
 
 function askQuestion(q) {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   return new Promise(r => rl.question(q, a => { rl.close(); r(a.trim()); }));
 }
 
-async function azGet(url) {
-  const res = await fetch(url, { headers: authHeader });
-  if (!res.ok) throw new Error(`API ${res.status}`);
-  return res.json();
-}
-
-async function azPost(url, body) {
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { ...authHeader, 'Content-Type': 'application/json-patch+json' },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`POST ${res.status}: ${err}`);
-  }
-  return res.json();
-}
-
-async function getWorkItem(id) {
-  return azGet(`${baseUrl}/wit/workitems/${id}?$expand=relations&api-version=7.0`);
-}
-
 async function getCurrentUser() {
   // First check if user email is configured in .env.local
   if (AZURE_USER_EMAIL) {
     return AZURE_USER_EMAIL;
   }
   
-  // Try to get user info from the API
-  const url = `https://dev.azure.com/${AZURE_ORG}/_apis/connectionData?api-version=7.0`;
-  const res = await fetch(url, { headers: authHeader });
-  if (!res.ok) return null;
-  const data = await res.json();
-  
-  // Try different properties to get a valid identifier
-  const user = data.authenticatedUser;
+  // Try to get user info from the API (the task is still created unassigned if this fails)
+  let user;
+  try {
+    user = await azdo.getAuthenticatedUser();
+  } catch {
+    return null;
+  }
   if (!user) return null;
   
   // Return email if available (preferred for AssignedTo)
@@ -107,7 +77,7 @@ async function createTask(title, description, parentId, assignedTo) {
       path: '/relations/-',
       value: {
         rel: 'System.LinkTypes.Hierarchy-Reverse',
-        url: `${baseUrl}/wit/workitems/${parentId}`,
+        url: azdo.workItemUrl(parentId),
         attributes: { comment: 'Parent User Story' }
       }
     }
@@ -117,7 +87,7 @@ async function createTask(title, description, parentId, assignedTo) {
     operations.push({ op: 'add', path: '/fields/System.AssignedTo', value: assignedTo });
   }
 
-  return azPost(`${baseUrl}/wit/workitems/$Task?api-version=7.0`, operations);
+  return azdo.createWorkItem('Task', operations);
 }
 
 function extractUS(wi) {
@@ -125,8 +95,8 @@ function extractUS(wi) {
   return {
     id: wi.id,
     title: f['System.Title'] || '',
-    description: (f['System.Description'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim(),
-    ac: (f['Microsoft.VSTS.Common.AcceptanceCriteria'] || '').replace(/<[^>]*>/g, '\n').replace(/\n+/g, '\n').trim()
+    description: htmlToMarkdown(f['System.Description']),
+    ac: formatAcceptanceCriteria(parseAcceptanceCriteria(f['Microsoft.VSTS.Common.AcceptanceCriteria']))
   };
 }
 
@@ -180,23 +150,10 @@ ${us.description}
 Acceptance Criteria:
 ${us.ac}`;
 
-  const res = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${GROQ_API_KEY}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'llama-3.3-70b-versatile',
-      messages: [
-        { role: 'system', content: `You are a ${typeLabel} tech lead. Generate clear, actionable tasks.` },
-        { role: 'user', content: `${prompt}\n\n${usContext}` }
-      ],
-      max_tokens: 800,
-      temperature: 0.3
-    })
-  });
-
-  if (!res.ok) throw new Error(`Groq ${res.status}`);
-  const data = await res.json();
-  return data.choices[0].message.content;
+  return chat('us2task', [
+    { role: 'system', content: `You are a ${typeLabel} tech lead. Generate clear, actionable tasks.` },
+    { role: 'user', content: `${prompt}\n\n${usContext}` }
+  ], { maxTokens: 800, temperature: 0.3 });
 }
 
 function parseTaskOutput(output) {
@@ -221,32 +178,23 @@ function parseTaskOutput(output) {
 }
 
 function printHeader() {
-  console.log('\n╔═══════════════════════════════════════════════════════╗');
-  console.log('║   US2TASK - Create Task from User Story               ║');
-  console.log('╚═══════════════════════════════════════════════════════╝\n');
+  log('\n╔═══════════════════════════════════════════════════════╗');
+  log('║   US2TASK - Create Task from User Story               ║');
+  log('╚═══════════════════════════════════════════════════════╝\n');
 }
 
-async function main() {
-  const usId = process.argv[2];
-  const type = process.argv[3]?.toLowerCase();
-
+/**
+ * @param {{usId: string, type: 'be'|'fe', yes?: boolean, json?: boolean, interactive: boolean}} options - Parsed by us2cursor.js
+ */
+export async function run(options) {
+  const { usId, type } = options;
+  checkConfig();
   printHeader();
 
-  if (!usId || !type || !['be', 'fe'].includes(type)) {
-    console.log('  Usage: us2task <us-id> <be|fe>\n');
-    console.log('  Creates a Task as child of the User Story.\n');
-    console.log('  Arguments:');
-    console.log('    us-id   User Story ID');
-    console.log('    be      Backend task [BE]');
-    console.log('    fe      Frontend task [FE]\n');
-    console.log('  Example: us2task 199339 be\n');
-    process.exit(1);
-  }
-
   try {
     // 1. Fetch User Story
-    console.log(`  🔍 Fetching US#${usId}...`);
-    const wi = await getWorkItem(usId);
+    log(`  🔍 Fetching US#${usId}...`);
+    const wi = await azdo.getWorkItem(usId, { relations: true });
     
     const wiType = wi.fields['System.WorkItemType'];
     if (!['User Story', 'Product Backlog Item', 'Bug'].includes(wiType)) {
@@ -255,17 +203,17 @@ async function main() {
     }
 
     const us = extractUS(wi);
-    console.log(`  📋 "${us.title}"`);
+    log(`  📋 "${us.title}"`);
 
     // 2. Get current user
     const currentUser = await getCurrentUser();
     if (currentUser) {
-      console.log(`  👤 Will assign to: ${currentUser}`);
+      log(`  👤 Will assign to: ${currentUser}`);
     }
 
     // 3. Generate task
     const typeLabel = type === 'be' ? 'BE' : 'FE';
-    console.log(`\n  🤖 Generating ${typeLabel} task...\n`);
+    log(`\n  🤖 Generating ${typeLabel} task...\n`);
     
     const output = await generateTask(us, type);
     let { title, description } = parseTaskOutput(output);
@@ -274,18 +222,26 @@ async function main() {
     let confirmed = false;
     
     while (!confirmed) {
-      console.log('─'.repeat(55));
-      console.log(`\n  📝 Title: ${title}\n`);
-      console.log('  📄 Description:');
-      description.split('\n').forEach(line => console.log(`  ${line}`));
-      console.log('\n' + '─'.repeat(55));
+      log('─'.repeat(55));
+      log(`\n  📝 Title: ${title}\n`);
+      log('  📄 Description:');
+      description.split('\n').forEach(line => log(`  ${line}`));
+      log('\n' + '─'.repeat(55));
+
+      if (!options.yes && !options.interactive) {
+        log('\n  ℹ️  Not created (non-interactive, use --yes to create the task)\n');
+        if (options.json) {
+          writeJson({ workItem: { id: us.id, title: us.title }, created: false, task: { title, description } });
+        }
+        return;
+      }
 
-      const answer = await askQuestion('\n  ✏️  Create task? (y/n/edit): ');
+      const answer = options.yes ? 'y' : await askQuestion('\n  ✏️  Create task? (y/n/edit): ');
 
       if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
         confirmed = true;
       } else if (answer.toLowerCase() === 'n' || answer.toLowerCase() === 'no') {
-        console.log('\n  ❌ Cancelled.\n');
+        log('\n  ❌ Cancelled.\n');
         process.exit(0);
       } else if (answer.toLowerCase() === 'edit') {
         const newTitle = await askQuestion(`\n  📝 New title (current: ${title}): `);
@@ -297,24 +253,34 @@ async function main() {
             title = newTitle.trim();
           }
         }
-        console.log('');
+        log('');
       } else {
-        console.log('  ⚠️  Please answer y, n, or edit');
+        log('  ⚠️  Please answer y, n, or edit');
       }
     }
 
     // 5. Create task
-    console.log('\n  📤 Creating task...');
+    log('\n  📤 Creating task...');
     const task = await createTask(title, description, usId, currentUser);
     
-    console.log(`\n  ✅ Task#${task.id} created!`);
-    console.log(`  🔗 https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_workitems/edit/${task.id}\n`);
+    const taskUrl = `https://dev.azure.com/${AZURE_ORG}/${encodeURIComponent(AZURE_PROJECT)}/_workitems/edit/${task.id}`;
+    log(`\n  ✅ Task#${task.id} created!`);
+    log(`  🔗 ${taskUrl}\n`);
+    
+    if (options.json) {
+      writeJson({
+        workItem: { id: us.id, title: us.title },
+        created: true,
+        task: { id: task.id, title, description, assignedTo: currentUser, url: taskUrl }
+      });
+    }
 
   } catch (e) {
     console.error(`\n  ❌ ${e.message}`);
-    console.log('\n  Check: US exists, PAT has Work Items Read/Write\n');
+    log('\n  Check: US exists, PAT has Work Items Read/Write\n');
     process.exit(1);
   }
 }
 
-main();
+// Standalone alias of "us2cursor task"
+if (isMainModule(import.meta.url)) runCli(['task', ...process.argv.slice(2)]);